@@ -1,7 +1,13 @@
+import { createHash } from 'node:crypto';
 import http from 'node:http';
 import https from 'node:https';
 
-export async function spineRequest(baseUrl, token, { method='GET', path='/', query=null, body=null, headers={} } = {}) {
+/**
+ * One HTTP request. `body` is sent as JSON; `rawBody` (Buffer / string) is
+ * sent as-is with the caller's headers. Resolves { status, headers, text, json, data }
+ * where `data` is the raw response Buffer.
+ */
+export async function spineRequest(baseUrl, token, { method='GET', path='/', query=null, body=null, rawBody=null, headers={} } = {}) {
   const url = new URL(baseUrl);
   const isHttps = url.protocol === 'https:';
   const mod = isHttps ? https : http;
@@ -12,7 +18,7 @@ export async function spineRequest(baseUrl, token, { method='GET', path='/', que
     fullPath += (fullPath.includes('?') ? '&' : '?') + qs.toString();
   }
 
-  const payload = body ? Buffer.from(JSON.stringify(body)) : null;
+  const payload = rawBody != null ? Buffer.from(rawBody) : body ? Buffer.from(JSON.stringify(body)) : null;
 
   const opts = {
     hostname: url.hostname,
@@ -31,10 +37,11 @@ export async function spineRequest(baseUrl, token, { method='GET', path='/', que
       const chunks = [];
       res.on('data', (d) => chunks.push(d));
       res.on('end', () => {
-        const text = Buffer.concat(chunks).toString('utf8');
+        const data = Buffer.concat(chunks);
+        const text = data.toString('utf8');
         let json = null;
         try { json = text ? JSON.parse(text) : null; } catch {}
-        resolve({ status: res.statusCode, text, json });
+        resolve({ status: res.statusCode, headers: res.headers, text, json, data });
       });
     });
     req.on('error', reject);
@@ -43,26 +50,209 @@ export async function spineRequest(baseUrl, token, { method='GET', path='/', que
   });
 }
 
+/* ─── Server-Sent Events ───
+ * Async iterator over `GET /events/stream`. Yields { id, event, data } with
+ * `data` JSON-parsed. Breaking out of the loop or aborting `signal` closes
+ * the connection and ends the iteration.
+ */
+
+export async function* spineSubscribe(baseUrl, token, { path='/events/stream', query=null, lastEventId=null, signal=null } = {}) {
+  const url = new URL(baseUrl);
+  const isHttps = url.protocol === 'https:';
+  const mod = isHttps ? https : http;
+
+  let fullPath = path;
+  if (query) fullPath += '?' + new URLSearchParams(query).toString();
+
+  const req = mod.request({
+    hostname: url.hostname,
+    port: url.port || (isHttps ? 443 : 80),
+    path: fullPath,
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Accept': 'text/event-stream',
+      ...(lastEventId != null ? { 'Last-Event-ID': String(lastEventId) } : {}),
+    },
+  });
+
+  const onAbort = () => req.destroy();
+  if (signal?.aborted) return;
+  signal?.addEventListener('abort', onAbort);
+
+  try {
+    const res = await new Promise((resolve, reject) => {
+      req.on('response', resolve);
+      req.on('error', reject);
+      req.end();
+    });
+    if (res.statusCode !== 200) {
+      res.resume();
+      throw new Error(`subscribe failed: HTTP ${res.statusCode}`);
+    }
+    res.setEncoding('utf8');
+    let buf = '';
+    for await (const chunk of res) {
+      buf += chunk;
+      let idx;
+      while ((idx = buf.indexOf('\n\n')) !== -1) {
+        const block = buf.slice(0, idx);
+        buf = buf.slice(idx + 2);
+        const msg = { id: null, event: 'message', data: '' };
+        for (const line of block.split('\n')) {
+          if (!line || line.startsWith(':')) continue;
+          const colon = line.indexOf(':');
+          const field = colon === -1 ? line : line.slice(0, colon);
+          const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+          if (field === 'id') msg.id = value;
+          else if (field === 'event') msg.event = value;
+          else if (field === 'data') msg.data += (msg.data ? '\n' : '') + value;
+        }
+        if (msg.id === null && !msg.data) continue;
+        try { msg.data = JSON.parse(msg.data); } catch {}
+        yield msg;
+      }
+    }
+  } catch (err) {
+    if (!signal?.aborted) throw err;
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    req.destroy();
+  }
+}
+
+/** Encodes one file as a multipart/form-data body under field `file`. */
+function multipartFile(data, { filename = 'blob', contentType = 'application/octet-stream' } = {}) {
+  const boundary = `----spine${Math.random().toString(16).slice(2)}`;
+  const head = `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${filename.replace(/"/g, '%22')}"\r\n`
+    + `Content-Type: ${contentType}\r\n\r\n`;
+  const body = Buffer.concat([Buffer.from(head), Buffer.from(data), Buffer.from(`\r\n--${boundary}--\r\n`)]);
+  return { body, contentType: `multipart/form-data; boundary=${boundary}` };
+}
+
+/** `{ idempotencyKey }` → request headers (createJob / completeJob / failJob). */
+function idempotencyHeaders({ idempotencyKey } = {}) {
+  return idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {};
+}
+
 /* ─── convenience wrappers ─── */
 
 export class SpineClient {
   constructor(baseUrl, token) {
     this.baseUrl = baseUrl;
     this.token = token;
+    this.leases = new Map();  // jobId → leaseToken of the attempt this client claimed
   }
 
   _req(opts) { return spineRequest(this.baseUrl, this.token, opts); }
 
+  // Lease tokens from claims are sent on heartbeat / complete / fail / release and dropped once the attempt ends:
+  // on a 200 from complete / fail / release (not heartbeat), or when the lease was lost or the job cancelled
+  _leaseHeaders(id)                { const t = this.leases.get(id); return t ? { 'X-Lease-Token': t } : {}; }
+  _trackLease(res)                 { if (res.status === 200 && res.json?.leaseToken) this.leases.set(res.json.id, res.json.leaseToken); return res; }
+  _endLease(id, res, ok = true)    { if ((ok && res.status === 200) || ['lease_lost', 'cancelled'].includes(res.json?.error)) this.leases.delete(id); return res; }
+
   health()                         { return this._req({ path: '/health' }); }
   healthz()                        { return this._req({ path: '/healthz' }); }  // deprecated alias
   skillMd()                        { return this._req({ path: '/skill.md' }); }
-  createJob(body)                  { return this._req({ method: 'POST', path: '/jobs', body }); }
+  createJob(body, opts)            { return this._req({ method: 'POST', path: '/jobs', body, headers: idempotencyHeaders(opts) }); }
   listJobs(query)                  { return this._req({ path: '/jobs', query }); }
-  getJob(id)                       { return this._req({ path: `/jobs/${id}` }); }
-  claimJob(id)                     { return this._req({ method: 'POST', path: `/jobs/${id}/claim` }); }
-  heartbeat(id, body)              { return this._req({ method: 'POST', path: `/jobs/${id}/heartbeat`, body }); }
-  completeJob(id, body)            { return this._req({ method: 'POST', path: `/jobs/${id}/complete`, body }); }
-  failJob(id, body)                { return this._req({ method: 'POST', path: `/jobs/${id}/fail`, body }); }
-  releaseJob(id, body)             { return this._req({ method: 'POST', path: `/jobs/${id}/release`, body }); }
+  /**
+   * Async iterator over `GET /jobs` pages: yields each page's `jobs` array and
+   * follows `nextCursor` until the listing is exhausted.
+   */
+  async *listJobPages(query = {}) {
+    let cursor = null;
+    do {
+      const res = await this.listJobs({ limit: 100, ...query, ...(cursor ? { cursor } : {}) });
+      if (res.status !== 200) throw new Error(`listJobs failed: HTTP ${res.status}`);
+      yield res.json.jobs;
+      cursor = res.json.nextCursor;
+    } while (cursor);
+  }
+
+  getJob(id, query)                { return this._req({ path: `/jobs/${id}`, query }); }
+  jobEvents(id, query)             { return this._req({ path: `/jobs/${id}/events`, query }); }
+  jobGraph(id)                     { return this._req({ path: `/jobs/${id}/graph` }); }
+  createWorkflow(body)             { return this._req({ method: 'POST', path: '/workflows', body }); }
+  claimJob(id, body)               { return this._req({ method: 'POST', path: `/jobs/${id}/claim`, body }).then(r => this._trackLease(r)); }
+  claimNext(body, query)           { return this._req({ method: 'POST', path: '/jobs/claim-next', body, query }).then(r => this._trackLease(r)); }
+  heartbeat(id, body)              { return this._req({ method: 'POST', path: `/jobs/${id}/heartbeat`, body, headers: this._leaseHeaders(id) }).then(r => this._endLease(id, r, false)); }
+  completeJob(id, body, opts)      { return this._req({ method: 'POST', path: `/jobs/${id}/complete`, body, headers: { ...idempotencyHeaders(opts), ...this._leaseHeaders(id) } }).then(r => this._endLease(id, r)); }
+  failJob(id, body, opts)          { return this._req({ method: 'POST', path: `/jobs/${id}/fail`, body, headers: { ...idempotencyHeaders(opts), ...this._leaseHeaders(id) } }).then(r => this._endLease(id, r)); }
+  releaseJob(id, body)             { return this._req({ method: 'POST', path: `/jobs/${id}/release`, body, headers: this._leaseHeaders(id) }).then(r => this._endLease(id, r)); }
+  setPriority(id, priority)        { return this._req({ method: 'POST', path: `/jobs/${id}/priority`, body: { priority } }); }
+  cancelJob(id, body)              { return this._req({ method: 'POST', path: `/jobs/${id}/cancel`, body }); }
+  retryJob(id)                     { return this._req({ method: 'POST', path: `/jobs/${id}/retry` }); }
+  updateJob(id, body)              { return this._req({ method: 'PATCH', path: `/jobs/${id}`, body }); }
+  createJobs(jobs)                 { return this._req({ method: 'POST', path: '/jobs:batch', body: { jobs } }); }
+  cancelJobs(selector)             { return this._req({ method: 'POST', path: '/jobs:cancel', body: selector }); }   // { ids } | { filter }, reason?
+  retryJobs(selector)              { return this._req({ method: 'POST', path: '/jobs:retry', body: selector }); }
+  requeueJobs(selector)            { return this._req({ method: 'POST', path: '/jobs:requeue', body: selector }); }
+  deleteJobs(selector)             { return this._req({ method: 'POST', path: '/jobs:delete', body: selector }); }
   comment(id, body)                { return this._req({ method: 'POST', path: `/jobs/${id}/comment`, body }); }
+  registerWorker(body)             { return this._req({ method: 'POST', path: '/workers', body }); }
+  listWorkers(query)               { return this._req({ path: '/workers', query }); }
+  workerHeartbeat(body)            { return this._req({ method: 'POST', path: '/workers/heartbeat', body }); }
+  updateWorker(name, body)         { return this._req({ method: 'PATCH', path: `/workers/${name}`, body }); }
+  deleteWorker(name)               { return this._req({ method: 'DELETE', path: `/workers/${name}` }); }
+  createToken(body)                { return this._req({ method: 'POST', path: '/tokens', body }); }
+  listTokens(query)                { return this._req({ path: '/tokens', query }); }
+  updateToken(id, body)            { return this._req({ method: 'PATCH', path: `/tokens/${id}`, body }); }
+  revokeToken(id)                  { return this._req({ method: 'DELETE', path: `/tokens/${id}` }); }
+  createWebhook(body)              { return this._req({ method: 'POST', path: '/webhooks', body }); }
+  listWebhooks()                   { return this._req({ path: '/webhooks' }); }
+  getWebhook(id)                   { return this._req({ path: `/webhooks/${id}` }); }
+  updateWebhook(id, body)          { return this._req({ method: 'PATCH', path: `/webhooks/${id}`, body }); }
+  deleteWebhook(id)                { return this._req({ method: 'DELETE', path: `/webhooks/${id}` }); }
+  webhookDeliveries(id, query)     { return this._req({ path: `/webhooks/${id}/deliveries`, query }); }
+  redeliver(id, deliveryId)        { return this._req({ method: 'POST', path: `/webhooks/${id}/deliveries/${deliveryId}/redeliver` }); }
+  createSchedule(body)             { return this._req({ method: 'POST', path: '/schedules', body }); }
+  listSchedules()                  { return this._req({ path: '/schedules' }); }
+  getSchedule(id)                  { return this._req({ path: `/schedules/${id}` }); }
+  updateSchedule(id, body)         { return this._req({ method: 'PATCH', path: `/schedules/${id}`, body }); }
+  deleteSchedule(id)               { return this._req({ method: 'DELETE', path: `/schedules/${id}` }); }
+  uploadBlob(data, opts)           { const m = multipartFile(data, opts); return this._req({ method: 'POST', path: '/blobs', rawBody: m.body, headers: { 'Content-Type': m.contentType, 'Content-Length': m.body.length } }); }
+  downloadBlob(id, { range } = {}) { return this._req({ path: `/blobs/${id}`, headers: range ? { Range: range } : {} }); }
+  blobMeta(id)                     { return this._req({ path: `/blobs/${id}/meta` }); }
+  createUpload(body)               { return this._req({ method: 'POST', path: '/blobs/uploads', body }); }
+  uploadStatus(id)                 { return this._req({ path: `/blobs/uploads/${id}` }); }
+  uploadChunk(id, offset, data)    { return this._req({ method: 'PUT', path: `/blobs/uploads/${id}`, rawBody: data, headers: { 'Content-Type': 'application/octet-stream', 'Upload-Offset': String(offset) } }); }
+  completeUpload(id)               { return this._req({ method: 'POST', path: `/blobs/uploads/${id}/complete` }); }
+  abortUpload(id)                  { return this._req({ method: 'DELETE', path: `/blobs/uploads/${id}` }); }
+
+  /**
+   * Uploads `data` in chunks through a resumable session. After a failed
+   * chunk it re-reads the committed offset and continues from there.
+   */
+  async uploadBlobResumable(data, { filename, contentType, chunkSize = 8 * 1024 * 1024, retries = 3 } = {}) {
+    const buf = Buffer.from(data);
+    const sha256 = createHash('sha256').update(buf).digest('hex');
+    const created = await this.createUpload({ filename, contentType, size: buf.length, sha256 });
+    if (created.status !== 201) return created;
+    const id = created.json.id;
+
+    let offset = 0;
+    let failures = 0;
+    while (offset < buf.length) {
+      let res;
+      try { res = await this.uploadChunk(id, offset, buf.subarray(offset, offset + chunkSize)); } catch { res = null; }
+      if (res?.status === 200) {
+        offset = res.json.offset;
+        failures = 0;
+        continue;
+      }
+      if (++failures > retries) return res ?? { status: 0, json: { error: 'network_error', uploadId: id } };
+      const status = await this.uploadStatus(id);
+      if (status.status !== 200) return status;
+      offset = status.json.offset;
+    }
+    return this.completeUpload(id);
+  }
+
+  runRetention(body)               { return this._req({ method: 'POST', path: '/retention/run', body }); }
+  listArchives()                   { return this._req({ path: '/archives' }); }
+  getArchive(id)                   { return this._req({ path: `/archives/${id}` }); }
+  restoreArchive(id, body)         { return this._req({ method: 'POST', path: `/archives/${id}/restore`, body }); }
+  subscribe(query, opts = {})      { return spineSubscribe(this.baseUrl, this.token, { ...opts, query }); }
 }
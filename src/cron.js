@@ -0,0 +1,156 @@
+/* ─── cron expressions ───
+ * Standard 5-field cron (minute hour day-of-month month day-of-week) with
+ * lists, ranges, steps, month/day names and the @hourly/@daily/@weekly/
+ * @monthly/@yearly shortcuts. When both day fields are restricted, a day
+ * matches if either does (Vixie cron semantics). Next-run computation is
+ * done on the wall clock of an IANA timezone.
+ */
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES   = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const SHORTCUTS = {
+  '@yearly':   '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly':  '0 0 1 * *',
+  '@weekly':   '0 0 * * 0',
+  '@daily':    '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly':   '0 * * * *',
+};
+
+function parseValue(token, min, names) {
+  const lower = token.toLowerCase();
+  if (names) {
+    const idx = names.indexOf(lower);
+    if (idx !== -1) return idx + min;
+  }
+  if (!/^\d+$/.test(token)) throw new Error(`invalid value "${token}"`);
+  return parseInt(token, 10);
+}
+
+function parseField(field, min, max, names) {
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+    if (!(step >= 1) || (stepPart !== undefined && !/^\d+$/.test(stepPart))) throw new Error(`invalid step "${part}"`);
+
+    let lo;
+    let hi;
+    if (rangePart === '*') {
+      lo = min;
+      hi = max;
+    } else if (rangePart.includes('-')) {
+      const [a, b] = rangePart.split('-');
+      lo = parseValue(a, min, names);
+      hi = parseValue(b, min, names);
+    } else {
+      lo = parseValue(rangePart, min, names);
+      hi = stepPart === undefined ? lo : max;
+    }
+    if (lo < min || hi > max || lo > hi) throw new Error(`value out of range "${part}"`);
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+/** Parses a cron expression; throws Error with a readable message when invalid. */
+export function parseCron(expr) {
+  const source = SHORTCUTS[String(expr).trim().toLowerCase()] ?? String(expr).trim();
+  const fields = source.split(/\s+/);
+  if (fields.length !== 5) throw new Error('expected 5 fields');
+
+  const [minute, hour, dom, month, dow] = fields;
+  const dowValues = parseField(dow, 0, 7, DAY_NAMES);
+  if (dowValues.has(7)) { dowValues.delete(7); dowValues.add(0); }  // 7 is also Sunday
+
+  return {
+    minute: parseField(minute, 0, 59),
+    hour:   parseField(hour, 0, 23),
+    dom:    parseField(dom, 1, 31),
+    month:  parseField(month, 1, 12, MONTH_NAMES),
+    dow:    dowValues,
+    domAny: dom === '*',
+    dowAny: dow === '*',
+  };
+}
+
+/** Throws RangeError for an unknown IANA timezone. */
+export function assertTimeZone(timeZone) {
+  new Intl.DateTimeFormat('en-US', { timeZone });
+}
+
+const formatters = new Map();
+
+function wallClockMs(ms, timeZone) {
+  let fmt = formatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+    });
+    formatters.set(timeZone, fmt);
+  }
+  const p = {};
+  for (const { type, value } of fmt.formatToParts(new Date(ms))) p[type] = parseInt(value, 10);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+}
+
+/**
+ * Converts a wall-clock time (encoded as a UTC timestamp) in `timeZone` back
+ * to an instant. Wall times skipped by a DST gap map to just after the gap.
+ */
+function wallToInstant(wall, timeZone) {
+  const offset1 = wallClockMs(wall, timeZone) - wall;
+  const guess   = wall - offset1;
+  const offset2 = wallClockMs(guess, timeZone) - guess;
+  if (offset2 === offset1) return guess;
+  const adjusted = wall - offset2;
+  return wallClockMs(adjusted, timeZone) === wall ? adjusted : guess;
+}
+
+function dayMatches(cron, d) {
+  const domOk = cron.dom.has(d.getUTCDate());
+  const dowOk = cron.dow.has(d.getUTCDay());
+  if (cron.domAny && cron.dowAny) return true;
+  if (cron.domAny) return dowOk;
+  if (cron.dowAny) return domOk;
+  return domOk || dowOk;
+}
+
+const MINUTE = 60_000;
+const HOUR   = 60 * MINUTE;
+
+/**
+ * First instant strictly after `afterMs` (epoch ms) matching `cron` on the
+ * wall clock of `timeZone`, or null if none exists within ~5 years.
+ */
+export function nextCronTime(cron, afterMs, timeZone = 'UTC') {
+  let wall = Math.floor(wallClockMs(afterMs, timeZone) / MINUTE) * MINUTE + MINUTE;
+  const limit = wall + 5 * 366 * 24 * HOUR;
+
+  while (wall < limit) {
+    const d = new Date(wall);
+    if (!cron.month.has(d.getUTCMonth() + 1)) {
+      wall = Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+      continue;
+    }
+    if (!dayMatches(cron, d)) {
+      wall = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+      continue;
+    }
+    if (!cron.hour.has(d.getUTCHours())) {
+      wall = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours() + 1);
+      continue;
+    }
+    if (!cron.minute.has(d.getUTCMinutes())) {
+      wall += MINUTE;
+      continue;
+    }
+    const instant = wallToInstant(wall, timeZone);
+    if (instant > afterMs) return instant;
+    wall += MINUTE;  // repeated wall time after a DST fall-back
+  }
+  return null;
+}
@@ -2,8 +2,16 @@ import Fastify from 'fastify';
 import cors from '@fastify/cors';
 import multipart from '@fastify/multipart';
 import { nanoid } from 'nanoid';
+import crypto from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import { createReadStream, createWriteStream } from 'node:fs';
 import fs from 'node:fs/promises';
 import path from 'node:path';
+import readline from 'node:readline';
+import { Readable, Transform } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { createGunzip, createGzip } from 'node:zlib';
+import { parseCron, nextCronTime, assertTimeZone } from './cron.js';
 
 /* ─── helpers ─── */
 
@@ -26,6 +34,33 @@ const LEASE_SECONDS = parseInt(mustEnv('LEASE_SECONDS', '300'), 10);
 const REAPER_INTERVAL_MS = parseInt(optEnv('REAPER_INTERVAL_MS', '30000'), 10);
 const DEFAULT_MAX_ATTEMPTS = parseInt(optEnv('DEFAULT_MAX_ATTEMPTS', '5'), 10);
 const SKILL_MD_PATH = optEnv('SPINE_SKILL_MD_PATH', path.resolve('SKILL.md'));
+const MAX_WAIT_MS   = parseInt(optEnv('MAX_WAIT_MS', '60000'), 10);
+const PRIORITY_AGING_SECONDS = parseInt(optEnv('PRIORITY_AGING_SECONDS', '600'), 10);
+const SSE_PING_MS   = parseInt(optEnv('SSE_PING_MS', '15000'), 10);
+const SCHEDULER_INTERVAL_MS = parseInt(optEnv('SCHEDULER_INTERVAL_MS', '15000'), 10);
+const SCHEDULE_MISFIRE_GRACE_SECONDS = parseInt(optEnv('SCHEDULE_MISFIRE_GRACE_SECONDS', '120'), 10);
+const SCHEDULE_MISFIRE_POLICY = optEnv('SCHEDULE_MISFIRE_POLICY', 'skip');
+const SCHEDULE_MAX_CATCHUP = parseInt(optEnv('SCHEDULE_MAX_CATCHUP', '100'), 10);
+const WORKER_OFFLINE_SECONDS = parseInt(optEnv('WORKER_OFFLINE_SECONDS', '180'), 10);
+const IDEMPOTENCY_WINDOW_SECONDS = parseInt(optEnv('IDEMPOTENCY_WINDOW_SECONDS', '86400'), 10);
+const WEBHOOK_INTERVAL_MS  = parseInt(optEnv('WEBHOOK_INTERVAL_MS', '5000'), 10);
+const WEBHOOK_TIMEOUT_MS   = parseInt(optEnv('WEBHOOK_TIMEOUT_MS', '10000'), 10);
+const WEBHOOK_MAX_ATTEMPTS = parseInt(optEnv('WEBHOOK_MAX_ATTEMPTS', '8'), 10);
+const WEBHOOK_RETRY_BASE_SECONDS = parseInt(optEnv('WEBHOOK_RETRY_BASE_SECONDS', '10'), 10);
+const WEBHOOK_DELIVERY_RETENTION_DAYS = parseFloat(optEnv('WEBHOOK_DELIVERY_RETENTION_DAYS', '7'));
+const BLOB_MAX_BYTES   = parseInt(optEnv('BLOB_MAX_BYTES', String(1024 ** 3)), 10);
+const BLOB_QUOTA_BYTES = parseInt(optEnv('BLOB_QUOTA_BYTES', '0'), 10);
+const BLOB_UPLOAD_TTL_SECONDS = parseInt(optEnv('BLOB_UPLOAD_TTL_SECONDS', '86400'), 10);
+const RETENTION_DAYS = {
+  done:      parseFloat(optEnv('RETENTION_DONE_DAYS', '0')),
+  failed:    parseFloat(optEnv('RETENTION_FAILED_DAYS', '0')),
+  dead:      parseFloat(optEnv('RETENTION_DEAD_DAYS', '0')),
+  cancelled: parseFloat(optEnv('RETENTION_CANCELLED_DAYS', '0')),
+};
+const RETENTION_MODE        = optEnv('RETENTION_MODE', 'archive');
+const RETENTION_INTERVAL_MS = parseInt(optEnv('RETENTION_INTERVAL_MS', '3600000'), 10);
+const BLOB_GC_AFTER_DAYS    = parseFloat(optEnv('BLOB_GC_AFTER_DAYS', '0'));
+const STREAM_RETENTION_DAYS = parseFloat(optEnv('STREAM_RETENTION_DAYS', '7'));
 
 /* ─── token rotation support ───
  * Accepts either single-value env (HEAD_TOKEN) or CSV env (HEAD_TOKENS).
@@ -49,443 +84,3657 @@ function parseTokens(singleKey, csvKey) {
 const HEAD_TOKENS       = parseTokens('HEAD_TOKEN', 'HEAD_TOKENS');
 const LEFT_CLAW_TOKENS  = parseTokens('LEFT_CLAW_TOKEN', 'LEFT_CLAW_TOKENS');
 const RIGHT_CLAW_TOKENS = parseTokens('RIGHT_CLAW_TOKEN', 'RIGHT_CLAW_TOKENS');
+const WORKERS_FILE      = optEnv('SPINE_WORKERS_FILE');
 
-if (!HEAD_TOKENS.length)       throw new Error('No head tokens configured (set HEAD_TOKEN or HEAD_TOKENS)');
-if (!LEFT_CLAW_TOKENS.length)  throw new Error('No left_claw tokens configured');
-if (!RIGHT_CLAW_TOKENS.length) throw new Error('No right_claw tokens configured');
-
-const ROLES_BY_TOKEN = new Map();
-for (const t of HEAD_TOKENS)       ROLES_BY_TOKEN.set(t, 'head');
-for (const t of LEFT_CLAW_TOKENS)  ROLES_BY_TOKEN.set(t, 'left_claw');
-for (const t of RIGHT_CLAW_TOKENS) ROLES_BY_TOKEN.set(t, 'right_claw');
+if (!HEAD_TOKENS.length) throw new Error('No head tokens configured (set HEAD_TOKEN or HEAD_TOKENS)');
 
 /* ─── paths ─── */
 
 const JOBS_DIR   = path.join(DATA_DIR, 'jobs');
 const EVENTS_DIR = path.join(DATA_DIR, 'events');
 const BLOBS_DIR  = path.join(DATA_DIR, 'blobs');
+const BLOB_CONTENT_DIR = path.join(BLOBS_DIR, 'sha256');
+const BLOB_UPLOADS_DIR = path.join(BLOBS_DIR, 'uploads');
+const BLOB_TMP_DIR     = path.join(BLOBS_DIR, 'tmp');
+const STREAM_LOG = path.join(DATA_DIR, 'stream.jsonl');
+const SCHEDULES_DIR = path.join(DATA_DIR, 'schedules');
+const WORKERS_DIR   = path.join(DATA_DIR, 'workers');
+const PRESENCE_DIR  = path.join(DATA_DIR, 'presence');
+const TOKENS_DIR    = path.join(DATA_DIR, 'tokens');
+const WEBHOOKS_DIR  = path.join(DATA_DIR, 'webhooks');
+const DELIVERIES_DIR = path.join(DATA_DIR, 'deliveries');
+const ARCHIVE_DIR   = path.join(DATA_DIR, 'archive');
 
 async function ensureDirs() {
   await fs.mkdir(JOBS_DIR, { recursive: true });
   await fs.mkdir(EVENTS_DIR, { recursive: true });
   await fs.mkdir(BLOBS_DIR, { recursive: true });
+  await fs.mkdir(BLOB_CONTENT_DIR, { recursive: true });
+  await fs.mkdir(BLOB_UPLOADS_DIR, { recursive: true });
+  await fs.mkdir(BLOB_TMP_DIR, { recursive: true });
+  await fs.mkdir(SCHEDULES_DIR, { recursive: true });
+  await fs.mkdir(WORKERS_DIR, { recursive: true });
+  await fs.mkdir(PRESENCE_DIR, { recursive: true });
+  await fs.mkdir(TOKENS_DIR, { recursive: true });
+  await fs.mkdir(WEBHOOKS_DIR, { recursive: true });
+  await fs.mkdir(DELIVERIES_DIR, { recursive: true });
+  await fs.mkdir(ARCHIVE_DIR, { recursive: true });
 }
 
 /* ─── utilities ─── */
 
 function nowIso() { return new Date().toISOString(); }
 
-function roleToClaimer(role) {
-  if (role === 'left_claw')  return 'left-claw';
-  if (role === 'right_claw') return 'right-claw';
-  return 'head';
+/* ─── worker registry ───
+ * Workers are named machines with their own tokens. A job's `target`
+ * matches a worker by name, by one of the worker's pools, or `any`.
+ * Seeds come from the legacy claw env vars (`left-claw`, `right-claw`) and
+ * the optional SPINE_WORKERS_FILE; the head can register more at runtime,
+ * which are persisted under workers/ and get a token from the token store.
+ */
+
+const NAME_RE  = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+const LABEL_RE = /^[A-Za-z0-9][A-Za-z0-9._:=-]{0,63}$/;
+const RESERVED_NAMES = ['any', 'head'];
+
+const workers = new Map();               // name → worker record
+const advertisedLabels = new Map();      // name → labels sent on claim / heartbeat (not persisted)
+let staticTokens = [];                   // [{ hash: Buffer, principal }] from env / config / legacy records
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
 }
 
-function authRole(req) {
-  const h = req.headers.authorization || '';
-  const m = h.match(/^Bearer\s+(.+)$/i);
-  if (!m) return null;
-  return ROLES_BY_TOKEN.get(m[1]) || null;
+/** Constant-time comparison of two sha256 hex digests. */
+function hashesEqual(a, b) {
+  return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
 }
 
-function requireRole(allowed) {
-  return async (req, reply) => {
-    const role = authRole(req);
-    if (!role || (allowed && !allowed.includes(role))) {
-      return reply.code(401).send({ error: 'unauthorized' });
-    }
-    req.role = role;
-  };
+function isValidName(name) {
+  return typeof name === 'string' && NAME_RE.test(name) && !RESERVED_NAMES.includes(name);
 }
 
-/* ─── file I/O (atomic writes via temp+rename) ─── */
+/** Array of unique valid labels, [] when absent, undefined when invalid. */
+function parseLabels(raw) {
+  if (raw === undefined || raw === null) return [];
+  if (!Array.isArray(raw) || !raw.every(l => typeof l === 'string' && LABEL_RE.test(l))) return undefined;
+  return [...new Set(raw)];
+}
 
-async function readJob(id) {
-  const p = path.join(JOBS_DIR, `${id}.json`);
-  const raw = await fs.readFile(p, 'utf8');
-  return JSON.parse(raw);
+function workerLabels(w) {
+  return [...new Set([...(w.labels || []), ...(advertisedLabels.get(w.name) || [])])];
 }
 
-async function writeJobAtomic(id, job) {
-  const p   = path.join(JOBS_DIR, `${id}.json`);
-  const tmp = path.join(JOBS_DIR, `${id}.json.tmp.${process.pid}.${Date.now()}`);
-  const data = JSON.stringify(job, null, 2);
-  await fs.writeFile(tmp, data, 'utf8');
-  await fs.rename(tmp, p);
+function publicWorker(w) {
+  return {
+    name: w.name,
+    pools: w.pools,
+    labels: w.labels || [],
+    advertisedLabels: advertisedLabels.get(w.name) || [],
+    source: w.source,
+    createdAt: w.createdAt,
+    updatedAt: w.updatedAt,
+  };
+}
+
+/** Rebuilds the static token list (env head tokens + worker seeds); these carry every scope. */
+function indexTokens() {
+  staticTokens = [];
+  for (const t of HEAD_TOKENS) staticTokens.push({ hash: hashToken(t), principal: { role: 'head', worker: null, scopes: ['*'], tokenId: null } });
+  for (const w of workers.values()) {
+    for (const h of w.tokenHashes || []) {
+      staticTokens.push({ hash: h, principal: { role: 'worker', worker: w.name, scopes: ['*'], tokenId: null } });
+    }
+  }
 }
 
-async function appendEvent(id, event) {
-  const p = path.join(EVENTS_DIR, `${id}.jsonl`);
-  await fs.appendFile(p, JSON.stringify(event) + '\n', 'utf8');
+function seedWorker(name, tokens, pools, labels, source) {
+  if (!tokens.length) return;
+  if (!isValidName(name)) throw new Error(`Invalid worker name "${name}" in ${source}`);
+  if (parseLabels(labels) === undefined) throw new Error(`Invalid labels for worker "${name}" in ${source}`);
+  workers.set(name, {
+    name,
+    pools: pools || [],
+    labels: parseLabels(labels),
+    source,
+    tokenHashes: tokens.map(hashToken),
+    createdAt: null,
+    updatedAt: null,
+  });
 }
 
-/* ─── access helpers ─── */
+async function loadWorkers() {
+  seedWorker('left-claw', LEFT_CLAW_TOKENS, [], [], 'env');
+  seedWorker('right-claw', RIGHT_CLAW_TOKENS, [], [], 'env');
 
-function canAccessJob(role, job) {
-  if (role === 'head') return true;
-  if (role === 'left_claw')  return job.target === 'left-claw' || job.target === 'any';
-  if (role === 'right_claw') return job.target === 'right-claw' || job.target === 'any';
-  return false;
+  if (WORKERS_FILE) {
+    const parsed = JSON.parse(await fs.readFile(WORKERS_FILE, 'utf8'));
+    for (const w of Array.isArray(parsed) ? parsed : parsed.workers || []) {
+      seedWorker(w.name, w.tokens || [], w.pools, w.labels, 'config');
+    }
+  }
+
+  for (const f of await fs.readdir(WORKERS_DIR)) {
+    if (!f.endsWith('.json')) continue;
+    try {
+      const w = JSON.parse(await fs.readFile(path.join(WORKERS_DIR, f), 'utf8'));
+      if (workers.has(w.name)) continue;  // env / config seeds win
+      workers.set(w.name, w);
+    } catch (err) {
+      fastify.log.warn({ file: f, err: err.message }, 'skipping unreadable worker file');
+    }
+  }
+  indexTokens();
 }
 
-/** Only the current claimant (or head as admin override) may mutate a running job. */
-function isOwnerOrHead(role, job) {
-  if (role === 'head') return true;
-  const claimer = roleToClaimer(role);
-  return job.claimedBy === claimer;
+async function writeWorker(w) {
+  await writeJsonAtomic(path.join(WORKERS_DIR, `${w.name}.json`), w);
 }
 
-function isLeaseValid(job) {
-  if (!job.leaseUntil) return false;
-  return new Date(job.leaseUntil).getTime() > Date.now();
+/* ─── worker presence ───
+ * Any authenticated worker request refreshes `lastSeenAt` in memory (and on
+ * disk at most every PRESENCE_PERSIST_MS); POST /workers/heartbeat
+ * additionally records hostname / version / load and persists the record
+ * (with completed / failed counters) in presence/<name>.json.
+ * A worker silent for WORKER_OFFLINE_SECONDS is `offline`. Workers that have
+ * sent a presence heartbeat are held to it: the reaper requeues their running
+ * jobs as soon as they go offline instead of waiting out the lease. After a
+ * restart that clock starts at boot, since the saved lastSeenAt can lag.
+ */
+
+const presence            = new Map();  // name → presence record
+const presencePersistedAt = new Map();  // name → ms of the last lastSeenAt write
+const PRESENCE_PERSIST_MS = Math.min(60_000, WORKER_OFFLINE_SECONDS * 500);
+let presenceLoadedAt = Date.now();
+
+function getPresence(name) {
+  let p = presence.get(name);
+  if (!p) {
+    p = { lastSeenAt: null, reportedAt: null, hostname: null, version: null, load: null, currentJob: null, completed: 0, failed: 0 };
+    presence.set(name, p);
+  }
+  return p;
 }
 
-/* ─── Fastify setup ─── */
+function touchWorker(name) {
+  getPresence(name).lastSeenAt = nowIso();
+  const now = Date.now();
+  if (now - (presencePersistedAt.get(name) || 0) < PRESENCE_PERSIST_MS) return;
+  presencePersistedAt.set(name, now);
+  writePresence(name).catch(err => fastify.log.warn({ worker: name, err: err.message }, 'presence: write error'));
+}
 
-const fastify = Fastify({ logger: true });
-await fastify.register(cors, { origin: true });
-await fastify.register(multipart);
+function presenceState(p, now = Date.now()) {
+  if (!p || !p.lastSeenAt) return 'unknown';
+  return now - new Date(p.lastSeenAt).getTime() > WORKER_OFFLINE_SECONDS * 1000 ? 'offline' : 'online';
+}
 
-fastify.get('/health', async () => ({ ok: true, time: nowIso() }));
-fastify.get('/healthz', async () => ({ ok: true, time: nowIso() }));  // deprecated alias
+/** True when the job's holder reports presence and has gone silent (counting from boot at the earliest). */
+function isHolderOffline(job, now = Date.now()) {
+  const p = job.claimedBy ? presence.get(job.claimedBy) : null;
+  if (now - presenceLoadedAt <= WORKER_OFFLINE_SECONDS * 1000) return false;
+  return !!p && !!p.reportedAt && presenceState(p, now) === 'offline';
+}
 
-/* ─── GET /skill.md (public, no auth) ─── */
+async function writePresence(name) {
+  await writeJsonAtomic(path.join(PRESENCE_DIR, `${name}.json`), presence.get(name));
+}
 
-let _skillMdCache = null;
+/** Credits a finished attempt to the worker that held the job. */
+async function recordOutcome(name, outcome) {
+  if (!name || !workers.has(name)) return;
+  getPresence(name)[outcome] += 1;
+  await writePresence(name);
+}
 
-fastify.get('/skill.md', async (_req, reply) => {
-  if (_skillMdCache === null) {
+async function loadPresence() {
+  presenceLoadedAt = Date.now();
+  for (const f of await fs.readdir(PRESENCE_DIR)) {
+    if (!f.endsWith('.json')) continue;
     try {
-      _skillMdCache = await fs.readFile(SKILL_MD_PATH, 'utf8');
+      presence.set(f.replace('.json', ''), JSON.parse(await fs.readFile(path.join(PRESENCE_DIR, f), 'utf8')));
     } catch (err) {
-      fastify.log.warn({ err: err.message, path: SKILL_MD_PATH }, 'skill.md not found');
-      return reply.code(404).send({ error: 'skill_md_not_found' });
+      fastify.log.warn({ file: f, err: err.message }, 'skipping unreadable presence file');
     }
   }
-  return reply.type('text/markdown; charset=utf-8').send(_skillMdCache);
-});
+}
 
-/* ─── POST /jobs (head only) ─── */
+/* ─── token store ───
+ * Runtime-minted tokens live in tokens/<id>.json with only a sha256 hash of
+ * the secret. A token reads `spt_<id>.<secret>`, so auth looks the record up
+ * by id and compares hashes in constant time. Each token has a role (and a
+ * worker for role `worker`), scopes and an optional expiry; revoked tokens
+ * are kept for audit. `scopes: null` means the role's defaults.
+ */
 
-fastify.post('/jobs', { preHandler: requireRole(['head']) }, async (req, reply) => {
-  const body = req.body || {};
-  const target      = body.target || 'left-claw';
-  const spec        = body.spec || '';
-  const meta        = body.meta || {};
-  const maxAttempts = typeof body.maxAttempts === 'number' ? body.maxAttempts : DEFAULT_MAX_ATTEMPTS;
+const SCOPES = [
+  'jobs:read', 'jobs:create', 'jobs:write',
+  'blobs:read', 'blobs:write',
+  'workers:read', 'workers:write', 'workers:heartbeat',
+  'schedules:read', 'schedules:write',
+  'webhooks:admin',
+  'archives:admin',
+  'tokens:admin',
+];
+const DEFAULT_SCOPES = {
+  head:   ['*'],
+  worker: ['jobs:read', 'jobs:write', 'blobs:read', 'blobs:write', 'workers:heartbeat'],
+};
+const TOKEN_RE = /^spt_([A-Za-z0-9_-]+)\.([A-Za-z0-9_-]+)$/;
+
+const tokens = new Map();  // id → token record
+
+function publicToken(t, now = Date.now()) {
+  let status = 'active';
+  if (t.revokedAt) status = 'revoked';
+  else if (t.expiresAt && new Date(t.expiresAt).getTime() <= now) status = 'expired';
+  return {
+    id: t.id,
+    name: t.name,
+    role: t.role,
+    worker: t.worker,
+    scopes: t.scopes ?? DEFAULT_SCOPES[t.role],
+    status,
+    createdAt: t.createdAt,
+    createdBy: t.createdBy,
+    expiresAt: t.expiresAt,
+    revokedAt: t.revokedAt,
+    quotaBytes: t.quotaBytes ?? null,
+    blobBytesUsed: blobUsage.get(`token:${t.id}`) || 0,
+    lastUsedAt: t.lastUsedAt ?? null,
+  };
+}
 
-  const id = nanoid();
-  const job = {
-    id,
-    target,
-    status: 'queued',
+/** Per-token blob quota: null for the BLOB_QUOTA_BYTES default, undefined when invalid. */
+function parseQuota(raw) {
+  if (raw === undefined || raw === null) return null;
+  return Number.isInteger(raw) && raw >= 0 ? raw : undefined;
+}
+
+/** Array of known scopes, null when absent (role defaults), undefined when invalid. */
+function parseScopes(raw) {
+  if (raw === undefined || raw === null) return null;
+  if (!Array.isArray(raw) || !raw.every(sc => sc === '*' || SCOPES.includes(sc))) return undefined;
+  return [...new Set(raw)];
+}
+
+/** ISO expiry from `expiresAt` or `expiresInSeconds`; null for none, undefined when invalid. */
+function parseExpiry(body) {
+  if (body.expiresInSeconds !== undefined && body.expiresInSeconds !== null) {
+    if (typeof body.expiresInSeconds !== 'number' || body.expiresInSeconds < 0) return undefined;
+    return new Date(Date.now() + body.expiresInSeconds * 1000).toISOString();
+  }
+  if (body.expiresAt === undefined || body.expiresAt === null) return null;
+  const ms = Date.parse(body.expiresAt);
+  return Number.isNaN(ms) ? undefined : new Date(ms).toISOString();
+}
+
+async function writeToken(t) {
+  const { lastUsedAt, ...record } = t;  // last use is tracked in memory only
+  await writeJsonAtomic(path.join(TOKENS_DIR, `${t.id}.json`), record);
+}
+
+/** Creates and persists a token; returns { record, secret } (the secret is never stored). */
+async function mintToken({ name = null, role, worker = null, scopes = null, expiresAt = null, quotaBytes = null, createdBy }) {
+  const id     = nanoid(12);
+  const secret = `spt_${id}.${crypto.randomBytes(24).toString('base64url')}`;
+  const record = {
+    id, name, role, worker, scopes,
+    hash: hashToken(secret),
     createdAt: nowIso(),
-    updatedAt: nowIso(),
-    createdBy: 'head',
-    claimedBy: null,
-    leaseUntil: null,
-    attempts: 0,
-    maxAttempts,
-    spec,
-    meta,
-    comments: [],
-    result: null,
-    error: null,
+    createdBy,
+    expiresAt,
+    revokedAt: null,
+    quotaBytes,
   };
-  await writeJobAtomic(id, job);
-  await appendEvent(id, { t: nowIso(), type: 'job.created', by: 'head', target });
-  return reply.code(201).send(job);
-});
-
-/* ─── GET /jobs ─── */
+  await writeToken(record);
+  tokens.set(id, record);
+  return { record, secret };
+}
 
-fastify.get('/jobs', { preHandler: requireRole(['head', 'left_claw', 'right_claw']) }, async (req) => {
-  const role   = req.role;
-  const q      = req.query || {};
-  const status = q.status;
-  const target = q.target;
+async function revokeWorkerTokens(name) {
+  for (const t of tokens.values()) {
+    if (t.worker !== name || t.revokedAt) continue;
+    t.revokedAt = nowIso();
+    await writeToken(t);
+  }
+}
 
-  const files = await fs.readdir(JOBS_DIR);
-  const jobs  = [];
-  for (const f of files) {
+async function loadTokens() {
+  for (const f of await fs.readdir(TOKENS_DIR)) {
     if (!f.endsWith('.json')) continue;
-    const raw = await fs.readFile(path.join(JOBS_DIR, f), 'utf8');
-    const job = JSON.parse(raw);
-    if (role !== 'head' && !canAccessJob(role, job)) continue;
-    if (status && job.status !== status) continue;
-    if (target && job.target !== target) continue;
-    jobs.push(job);
+    try {
+      const t = JSON.parse(await fs.readFile(path.join(TOKENS_DIR, f), 'utf8'));
+      tokens.set(t.id, t);
+    } catch (err) {
+      fastify.log.warn({ file: f, err: err.message }, 'skipping unreadable token file');
+    }
   }
-  jobs.sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
-  return { jobs };
-});
+}
 
-/* ─── GET /jobs/:id ─── */
+/** Head view of a worker: registry fields, presence and the jobs it holds. */
+function fleetWorker(w, runningJobs, now = Date.now()) {
+  const p = presence.get(w.name);
+  return {
+    ...publicWorker(w),
+    state:       presenceState(p, now),
+    lastSeenAt:  p?.lastSeenAt ?? null,
+    hostname:    p?.hostname ?? null,
+    version:     p?.version ?? null,
+    load:        p?.load ?? null,
+    currentJob:  p?.currentJob ?? null,
+    runningJobs: runningJobs.get(w.name) || [],
+    completed:   p?.completed ?? 0,
+    failed:      p?.failed ?? 0,
+  };
+}
 
-fastify.get('/jobs/:id', { preHandler: requireRole(['head', 'left_claw', 'right_claw']) }, async (req, reply) => {
-  const role = req.role;
-  const id   = req.params.id;
-  let job;
-  try { job = await readJob(id); } catch { return reply.code(404).send({ error: 'not_found' }); }
-  if (!canAccessJob(role, job)) return reply.code(403).send({ error: 'forbidden' });
-  return job;
-});
+/* ─── auth ───
+ * A principal is { role: 'head' | 'worker', worker, scopes, tokenId }.
+ * requireRole() gates on role (401) and, when given, on a scope (403), and
+ * exposes the principal as req.who.
+ */
 
-/* ─── POST /jobs/:id/claim (claws) ─── */
+function principalName(who) {
+  return who.role === 'head' ? 'head' : who.worker;
+}
 
-fastify.post('/jobs/:id/claim', { preHandler: requireRole(['left_claw', 'right_claw']) }, async (req, reply) => {
-  const role    = req.role;
-  const id      = req.params.id;
-  const claimer = roleToClaimer(role);
+function authenticate(req) {
+  const h = req.headers.authorization || '';
+  const m = h.match(/^Bearer\s+(.+)$/i);
+  if (!m) return null;
+  const hash = hashToken(m[1]);
+
+  const stored = m[1].match(TOKEN_RE);
+  const t = stored ? tokens.get(stored[1]) : null;
+  if (t && hashesEqual(hash, t.hash)) {
+    if (t.revokedAt || (t.expiresAt && new Date(t.expiresAt).getTime() <= Date.now())) return null;
+    if (t.role === 'worker' && !workers.has(t.worker)) return null;
+    t.lastUsedAt = nowIso();
+    return { role: t.role, worker: t.worker, scopes: t.scopes ?? DEFAULT_SCOPES[t.role], tokenId: t.id };
+  }
 
-  const lockPath = path.join(JOBS_DIR, `${id}.lock`);
-  let fd;
-  try {
-    fd = await fs.open(lockPath, 'wx');
-  } catch {
-    return reply.code(409).send({ error: 'locked' });
+  // Static tokens (an env token may itself look like `spt_<id>.<secret>`):
+  // check every entry so timing doesn't reveal which one matched
+  let found = null;
+  for (const entry of staticTokens) {
+    if (hashesEqual(hash, entry.hash) && !found) found = entry.principal;
   }
+  return found;
+}
 
-  try {
-    let job;
-    try { job = await readJob(id); } catch { return reply.code(404).send({ error: 'not_found' }); }
-    if (!canAccessJob(role, job)) return reply.code(403).send({ error: 'forbidden' });
+function hasScope(who, scope) {
+  return who.scopes.includes('*') || who.scopes.includes(scope);
+}
 
-    // Must be queued to claim
-    if (job.status !== 'queued') {
-      if (job.status === 'running' && isLeaseValid(job)) {
-        return reply.code(409).send({ error: 'already_claimed', claimedBy: job.claimedBy, leaseUntil: job.leaseUntil });
-      }
-      if (job.status === 'done' || job.status === 'failed' || job.status === 'dead') {
-        return reply.code(409).send({ error: 'terminal_status', status: job.status });
-      }
+function requireRole(allowed, scope) {
+  return async (req, reply) => {
+    const who = authenticate(req);
+    if (!who || (allowed && !allowed.includes(who.role))) {
+      return reply.code(401).send({ error: 'unauthorized' });
     }
-
-    // Enforce maxAttempts
-    const maxAttempts = job.maxAttempts ?? DEFAULT_MAX_ATTEMPTS;
-    if (job.attempts >= maxAttempts) {
-      job.status = 'dead';
-      job.updatedAt = nowIso();
-      await writeJobAtomic(id, job);
-      await appendEvent(id, { t: nowIso(), type: 'job.dead', by: 'system', reason: 'max_attempts_reached', attempts: job.attempts });
-      return reply.code(409).send({ error: 'max_attempts_reached', attempts: job.attempts, maxAttempts });
+    if (scope && !hasScope(who, scope)) {
+      return reply.code(403).send({ error: 'insufficient_scope', required: scope });
     }
+    req.who = who;
+    if (who.role === 'worker') touchWorker(who.worker);
+  };
+}
 
-    job.status     = 'running';
-    job.claimedBy  = claimer;
-    job.leaseUntil = new Date(Date.now() + LEASE_SECONDS * 1000).toISOString();
-    job.attempts   = (job.attempts || 0) + 1;
-    job.updatedAt  = nowIso();
-
-    await writeJobAtomic(id, job);
-    await appendEvent(id, { t: nowIso(), type: 'job.claimed', by: claimer, leaseUntil: job.leaseUntil, attempt: job.attempts });
-    return job;
-  } finally {
-    try { await fd?.close(); } catch {}
-    try { await fs.unlink(lockPath); } catch {}
-  }
-});
+/* ─── in-process notifications ───
+ * Every job write is announced on `jobBus` ('job', job) so long-polling
+ * requests can wake up without re-reading the disk. Every appended event is
+ * announced as ('event', streamEvent) for SSE subscribers.
+ */
 
-/* ─── POST /jobs/:id/heartbeat ─── */
+const jobBus = new EventEmitter();
+jobBus.setMaxListeners(0);
 
-fastify.post('/jobs/:id/heartbeat', { preHandler: requireRole(['head', 'left_claw', 'right_claw']) }, async (req, reply) => {
-  const role = req.role;
-  const id   = req.params.id;
-  const body = req.body || {};
+/** Subscribes before the caller inspects state, so no write in between is missed. */
+function jobWaiter(predicate) {
+  let resolve;
+  const promise = new Promise((r) => { resolve = r; });
+  const onJob = (job) => { if (predicate(job)) resolve(job); };
+  jobBus.on('job', onJob);
+  return { promise, cancel: () => jobBus.off('job', onJob) };
+}
 
-  let job;
-  try { job = await readJob(id); } catch { return reply.code(404).send({ error: 'not_found' }); }
-  if (!canAccessJob(role, job)) return reply.code(403).send({ error: 'forbidden' });
-  if (!isOwnerOrHead(role, job)) return reply.code(403).send({ error: 'not_owner' });
-  if (job.status !== 'running') return reply.code(409).send({ error: 'not_running', status: job.status });
+/** Resolves with the matching job, or null on timeout / client disconnect. Always cancels the waiter. */
+async function awaitWaiter(waiter, ms, reply) {
+  let timer;
+  let onClose;
+  try {
+    return await Promise.race([
+      waiter.promise,
+      new Promise((r) => { timer = setTimeout(() => r(null), ms); }),
+      new Promise((r) => { onClose = () => r(null); reply.raw.once('close', onClose); }),
+    ]);
+  } finally {
+    clearTimeout(timer);
+    reply.raw.off('close', onClose);
+    waiter.cancel();
+  }
+}
 
-  const claimer = roleToClaimer(role);
-  job.leaseUntil = new Date(Date.now() + LEASE_SECONDS * 1000).toISOString();
-  job.updatedAt  = nowIso();
-  if (body.progress !== undefined) job.progress = body.progress;
+function parseWaitMs(v) {
+  const n = parseInt(v, 10);
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  return Math.min(n, MAX_WAIT_MS);
+}
 
-  await writeJobAtomic(id, job);
-  await appendEvent(id, { t: nowIso(), type: 'job.heartbeat', by: claimer, progress: body.progress ?? null });
-  return job;
-});
+/* ─── file I/O (atomic writes via temp+rename) ─── */
 
-/* ─── POST /jobs/:id/complete ─── */
+/** A copy of the indexed job (safe to mutate before writeJobAtomic); throws when unknown. */
+async function readJob(id) {
+  const job = jobsById.get(id);
+  if (!job) throw Object.assign(new Error(`job ${id} not found`), { code: 'ENOENT' });
+  return structuredClone(job);
+}
 
-fastify.post('/jobs/:id/complete', { preHandler: requireRole(['head', 'left_claw', 'right_claw']) }, async (req, reply) => {
-  const role = req.role;
-  const id   = req.params.id;
-  const body = req.body || {};
+async function writeJsonAtomic(p, value) {
+  const tmp = `${p}.tmp.${process.pid}.${Date.now()}`;
+  await fs.writeFile(tmp, JSON.stringify(value, null, 2), 'utf8');
+  await fs.rename(tmp, p);
+}
 
-  let job;
-  try { job = await readJob(id); } catch { return reply.code(404).send({ error: 'not_found' }); }
-  if (!canAccessJob(role, job)) return reply.code(403).send({ error: 'forbidden' });
-  if (!isOwnerOrHead(role, job)) return reply.code(403).send({ error: 'not_owner' });
-  if (job.status !== 'running') return reply.code(409).send({ error: 'not_running', status: job.status });
+/** The job file as it is on disk, or null when missing or unreadable. */
+async function readJobFile(id) {
+  try { return JSON.parse(await fs.readFile(path.join(JOBS_DIR, `${id}.json`), 'utf8')); } catch { return null; }
+}
 
-  const claimer = roleToClaimer(role);
-  job.status     = 'done';
-  job.result     = body.result || null;
-  job.error      = null;
-  job.leaseUntil = null;
-  job.updatedAt  = nowIso();
+/** Writes a job read at the current version, bumping `version`; a stale copy throws JobVersionConflict. */
+async function writeJobAtomic(id, job) {
+  const current = jobsById.get(id);
+  if (current && (job.version ?? 0) !== (current.version ?? 0)) throw new JobVersionConflict(id);
+  // File changed behind the index (another process, a hand edit): adopt it and refuse this write
+  const onDisk = current && await readJobFile(id);
+  if (onDisk && (onDisk.version ?? 0) !== (current.version ?? 0)) {
+    indexJob(onDisk);
+    throw new JobVersionConflict(id);
+  }
+  job.version = (job.version ?? 0) + 1;
+  await writeJsonAtomic(path.join(JOBS_DIR, `${id}.json`), job);
+  indexJob(structuredClone(job));
+  jobBus.emit('job', job);
+}
 
-  await writeJobAtomic(id, job);
-  await appendEvent(id, { t: nowIso(), type: 'job.completed', by: claimer, status: 'done' });
-  return job;
-});
+async function deleteJobFile(id) {
+  await fs.rm(path.join(JOBS_DIR, `${id}.json`), { force: true });
+  unindexJob(id);
+}
 
-/* ─── POST /jobs/:id/fail ─── */
+/* ─── job locking & versions ───
+ * Every job mutation (routes, reaper, dependency resolution, retention)
+ * runs under withJobLock(id) and reads the job inside it, so read-modify-
+ * write sequences on one job never interleave. The server is the only
+ * writer, so an in-process mutex is enough. Each write bumps `version`:
+ * writeJobAtomic rejects a write from a stale copy, or over a file whose
+ * version moved without the server (re-indexing that file), as a backstop, and
+ * clients send `If-Match: "<version>"` (the ETag of GET /jobs/:id) to get
+ * 412 instead of overwriting a change they haven't seen.
+ */
 
-fastify.post('/jobs/:id/fail', { preHandler: requireRole(['head', 'left_claw', 'right_claw']) }, async (req, reply) => {
-  const role = req.role;
-  const id   = req.params.id;
-  const body = req.body || {};
+class JobVersionConflict extends Error {
+  constructor(id) {
+    super(`job ${id} changed since it was read`);
+    this.statusCode = 409;
+  }
+}
 
-  let job;
-  try { job = await readJob(id); } catch { return reply.code(404).send({ error: 'not_found' }); }
-  if (!canAccessJob(role, job)) return reply.code(403).send({ error: 'forbidden' });
-  if (!isOwnerOrHead(role, job)) return reply.code(403).send({ error: 'not_owner' });
-  if (job.status !== 'running') return reply.code(409).send({ error: 'not_running', status: job.status });
+/** Runs fn for one key at a time; calls for other keys proceed in parallel. */
+function createKeyedMutex() {
+  const tails = new Map();
+  return async function withKey(key, fn) {
+    const prev = tails.get(key) || Promise.resolve();
+    let release;
+    const mine = new Promise(r => { release = r; });
+    const tail = prev.then(() => mine);
+    tails.set(key, tail);
+    await prev;
+    try {
+      return await fn();
+    } finally {
+      release();
+      if (tails.get(key) === tail) tails.delete(key);
+    }
+  };
+}
 
-  const claimer    = roleToClaimer(role);
-  const maxAttempts = job.maxAttempts ?? DEFAULT_MAX_ATTEMPTS;
-  const requeue    = body.requeue !== false && job.attempts < maxAttempts;
+const withJobLock = createKeyedMutex();
 
-  if (requeue) {
-    // Return to queued so another worker (or the same one) can retry
-    job.status     = 'queued';
-    job.claimedBy  = null;
-    job.leaseUntil = null;
-    job.error      = body.error || null;
-  } else {
-    // Terminal failure
-    job.status     = job.attempts >= maxAttempts ? 'dead' : 'failed';
-    job.leaseUntil = null;
-    job.error      = body.error || null;
-  }
-  job.updatedAt = nowIso();
+function jobEtag(job) {
+  return `"${job.version ?? 0}"`;
+}
 
-  await writeJobAtomic(id, job);
-  await appendEvent(id, { t: nowIso(), type: 'job.failed', by: claimer, requeued: requeue, attempt: job.attempts, error: body.error || null });
-  return job;
-});
+/** True without an If-Match header, or when one of its tags (or `*`) matches the job. */
+function ifMatchSatisfied(header, job) {
+  if (header === undefined) return true;
+  return String(header).split(',').map(t => t.trim().replace(/^W\//, '')).some(t => t === '*' || t === jobEtag(job));
+}
 
-/* ─── POST /jobs/:id/release ─── */
+function versionMismatch(job) {
+  return { error: 'version_mismatch', version: job.version ?? 0 };
+}
 
-fastify.post('/jobs/:id/release', { preHandler: requireRole(['head', 'left_claw', 'right_claw']) }, async (req, reply) => {
-  const role = req.role;
-  const id   = req.params.id;
-  const body = req.body || {};
+/* ─── in-memory job index ───
+ * Job files stay the source of truth: the index is rebuilt from them at
+ * startup and every write path goes through writeJobAtomic / deleteJobFile,
+ * which update it after the file is on disk. Alongside id → job it keeps
+ * ids by status, by target and by referenced blob, and a min-heap of running jobs' lease
+ * expiries so the reaper only looks at jobs that are actually due.
+ * Indexed objects are shared; treat them as read-only (readJob hands out
+ * copies for mutation).
+ */
 
-  let job;
-  try { job = await readJob(id); } catch { return reply.code(404).send({ error: 'not_found' }); }
-  if (!canAccessJob(role, job)) return reply.code(403).send({ error: 'forbidden' });
-  if (!isOwnerOrHead(role, job)) return reply.code(403).send({ error: 'not_owner' });
-  if (job.status !== 'running') return reply.code(409).send({ error: 'not_running', status: job.status });
+const jobsById    = new Map();  // id → job
+const idsByStatus = new Map();  // status → Set<id>
+const idsByTarget = new Map();  // target → Set<id>
+const idsByDedupeKey = new Map();  // dedupeKey → Set<id>
+const idsByBlob   = new Map();  // blob id → Set<id> of jobs referencing it (input or attachment)
+const leaseHeap   = [];         // [{ at: ms, id }], min-heap; stale entries skipped on pop
 
-  const claimer = roleToClaimer(role);
+function addToSet(map, key, id) {
+  if (!map.has(key)) map.set(key, new Set());
+  map.get(key).add(id);
+}
 
-  // Release returns to queued without incrementing attempts (it wasn't a failure, just a release)
-  job.status     = 'queued';
-  job.claimedBy  = null;
-  job.leaseUntil = null;
-  job.updatedAt  = nowIso();
-  if (body.reason) job.releaseReason = body.reason;
+function removeFromSet(map, key, id) {
+  const set = map.get(key);
+  if (!set) return;
+  set.delete(id);
+  if (!set.size) map.delete(key);
+}
 
-  await writeJobAtomic(id, job);
-  await appendEvent(id, { t: nowIso(), type: 'job.released', by: claimer, reason: body.reason || null });
-  return job;
-});
+function heapPush(heap, item) {
+  heap.push(item);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent].at <= heap[i].at) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+}
 
-/* ─── POST /jobs/:id/comment ─── */
+function heapPop(heap) {
+  const top  = heap[0];
+  const last = heap.pop();
+  if (heap.length) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const l = 2 * i + 1;
+      const r = l + 1;
+      let min = i;
+      if (l < heap.length && heap[l].at < heap[min].at) min = l;
+      if (r < heap.length && heap[r].at < heap[min].at) min = r;
+      if (min === i) break;
+      [heap[min], heap[i]] = [heap[i], heap[min]];
+      i = min;
+    }
+  }
+  return top;
+}
 
-fastify.post('/jobs/:id/comment', { preHandler: requireRole(['head', 'left_claw', 'right_claw']) }, async (req, reply) => {
-  const role = req.role;
-  const id   = req.params.id;
-  const body = req.body || {};
+function unindexJob(id) {
+  const prev = jobsById.get(id);
+  if (!prev) return;
+  jobsById.delete(id);
+  removeFromSet(idsByStatus, prev.status, id);
+  removeFromSet(idsByTarget, prev.target, id);
+  if (prev.dedupeKey) removeFromSet(idsByDedupeKey, prev.dedupeKey, id);
+  for (const blobId of jobBlobIds(prev)) removeFromSet(idsByBlob, blobId, id);
+}
 
-  let job;
-  try { job = await readJob(id); } catch { return reply.code(404).send({ error: 'not_found' }); }
-  if (!canAccessJob(role, job)) return reply.code(403).send({ error: 'forbidden' });
+function indexJob(job) {
+  unindexJob(job.id);
+  jobsById.set(job.id, job);
+  addToSet(idsByStatus, job.status, job.id);
+  addToSet(idsByTarget, job.target, job.id);
+  if (job.dedupeKey) addToSet(idsByDedupeKey, job.dedupeKey, job.id);
+  for (const blobId of jobBlobIds(job)) addToSet(idsByBlob, blobId, job.id);
+  if (job.status === 'running' && job.leaseUntil) heapPush(leaseHeap, { at: new Date(job.leaseUntil).getTime(), id: job.id });
+}
 
-  const by = roleToClaimer(role);
-  const comment = { t: nowIso(), by, text: body.text || '' };
-  job.comments = Array.isArray(job.comments) ? job.comments : [];
-  job.comments.push(comment);
-  job.updatedAt = nowIso();
+/** Ids of running jobs whose lease has passed; entries for since-changed leases are dropped. */
+function popExpiredLeases(now = Date.now()) {
+  const ids = [];
+  while (leaseHeap.length && leaseHeap[0].at <= now) {
+    const { at, id } = heapPop(leaseHeap);
+    const job = jobsById.get(id);
+    if (job?.status === 'running' && job.leaseUntil && new Date(job.leaseUntil).getTime() === at) ids.push(id);
+  }
+  return ids;
+}
 
-  await writeJobAtomic(id, job);
-  await appendEvent(id, { t: nowIso(), type: 'job.comment', by });
-  return job;
-});
+/** Indexed jobs, optionally narrowed by status and / or target. */
+function findJobs({ status, target } = {}) {
+  let ids = null;
+  if (status) ids = idsByStatus.get(status) || new Set();
+  if (target) {
+    const byTarget = idsByTarget.get(target) || new Set();
+    ids = ids ? [...ids].filter(id => byTarget.has(id)) : byTarget;
+  }
+  if (!ids) return [...jobsById.values()];
+  return [...ids].map(id => jobsById.get(id));
+}
 
-/* ─── POST /blobs ─── */
+function jobsWithStatus(...statuses) {
+  return statuses.flatMap(status => findJobs({ status }));
+}
 
-fastify.post('/blobs', { preHandler: requireRole(['head', 'left_claw', 'right_claw']) }, async (req, reply) => {
-  const part = await req.file();
-  if (!part) return reply.code(400).send({ error: 'missing_file' });
+/** Every indexed job (shared objects — read-only). */
+function allJobs() {
+  return [...jobsById.values()];
+}
 
-  const buf = await part.toBuffer();
-  const id  = nanoid();
-  const ext = path.extname(part.filename || '') || '';
-  const out = path.join(BLOBS_DIR, `${id}${ext}`);
-  await fs.writeFile(out, buf);
-  return { id, filename: part.filename, size: buf.length, path: out };
-});
+/** Builds the index from the job files; unreadable or half-written files are skipped. */
+async function loadJobIndex() {
+  for (const f of await fs.readdir(JOBS_DIR)) {
+    if (!f.endsWith('.json')) continue;
+    try {
+      indexJob(JSON.parse(await fs.readFile(path.join(JOBS_DIR, f), 'utf8')));
+    } catch (err) {
+      fastify.log.warn({ file: f, err: err.message }, 'skipping unreadable job file');
+    }
+  }
+}
 
-/* ─── Expiry Reaper ───
- * Runs on a timer. Scans all jobs with status=running and expired leases,
- * then returns them to queued (or marks dead if maxAttempts reached).
+/* ─── events ───
+ * Each event gets a global, monotonically increasing `seq`. Events are
+ * written to the per-job log and to the global stream log, which is what
+ * SSE subscribers resume from via Last-Event-ID.
  */
 
-async function runReaper() {
+let lastSeq = 0;
+const withEventLog = createKeyedMutex();
+
+async function loadLastSeq() {
   try {
-    const files = await fs.readdir(JOBS_DIR);
-    for (const f of files) {
-      if (!f.endsWith('.json')) continue;
-      const id = f.replace('.json', '');
-      try {
-        const raw = await fs.readFile(path.join(JOBS_DIR, f), 'utf8');
-        const job = JSON.parse(raw);
-
-        if (job.status !== 'running') continue;
-        if (isLeaseValid(job)) continue;
-
-        // Lease expired
-        const maxAttempts = job.maxAttempts ?? DEFAULT_MAX_ATTEMPTS;
-        if (job.attempts >= maxAttempts) {
-          job.status     = 'dead';
-          job.leaseUntil = null;
-          job.updatedAt  = nowIso();
-          await writeJobAtomic(id, job);
-          await appendEvent(id, { t: nowIso(), type: 'job.dead', by: 'reaper', reason: 'lease_expired_max_attempts', attempts: job.attempts });
-          fastify.log.info({ jobId: id }, 'reaper: job marked dead (max attempts after lease expiry)');
-        } else {
-          job.status     = 'queued';
-          job.claimedBy  = null;
-          job.leaseUntil = null;
-          job.updatedAt  = nowIso();
-          await writeJobAtomic(id, job);
-          await appendEvent(id, { t: nowIso(), type: 'job.expired', by: 'reaper', attempt: job.attempts });
-          fastify.log.info({ jobId: id }, 'reaper: expired lease → queued');
-        }
-      } catch (err) {
-        fastify.log.warn({ jobId: id, err: err.message }, 'reaper: error processing job');
-      }
+    const rl = readline.createInterface({ input: createReadStream(STREAM_LOG, 'utf8'), crlfDelay: Infinity });
+    for await (const line of rl) {
+      if (!line) continue;
+      try { lastSeq = Math.max(lastSeq, JSON.parse(line).seq || 0); } catch {}
     }
   } catch (err) {
-    fastify.log.warn({ err: err.message }, 'reaper: scan error');
+    if (err.code !== 'ENOENT') throw err;
   }
 }
 
-/* ─── start ─── */
+/**
+ * Records an event. `jobLog: false` writes it to the global stream only, for
+ * events about jobs whose per-job log is going away (retention) or about
+ * things that are not jobs (blob GC, with a null id).
+ */
+async function appendEvent(id, event, { jobLog = true } = {}) {
+  // One event at a time, so the stream log and the bus see events in seq order
+  const streamEvent = await withEventLog('stream', async () => {
+    const seq = ++lastSeq;
+    if (jobLog) {
+      const p = path.join(EVENTS_DIR, `${id}.jsonl`);
+      await fs.appendFile(p, JSON.stringify({ seq, ...event }) + '\n', 'utf8');
+    }
+    const ev = { seq, jobId: id, ...event };
+    await fs.appendFile(STREAM_LOG, JSON.stringify(ev) + '\n', 'utf8');
+    jobBus.emit('event', ev);
+    return ev;
+  });
+  // Delivery files are written outside the lock so webhook I/O never holds up other events
+  await enqueueWebhooks(streamEvent);
+}
 
-await ensureDirs();
+/** Reads one job's event log; a missing log means no events yet. */
+async function readJobEvents(id) {
+  let raw;
+  try {
+    raw = await fs.readFile(path.join(EVENTS_DIR, `${id}.jsonl`), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const events = [];
+  for (const line of raw.split('\n')) {
+    if (!line) continue;
+    try { events.push(JSON.parse(line)); } catch {}
+  }
+  return events;
+}
+
+/** Compact, bounded rendering of an arbitrary payload for event logs. */
+function summarize(value, max = 500) {
+  if (value === null || value === undefined) return null;
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > max ? text.slice(0, max) + '…' : text;
+}
+
+/** Reads stream events with seq > since, in seq order. */
+async function readStreamSince(since) {
+  const out = [];
+  try {
+    const rl = readline.createInterface({ input: createReadStream(STREAM_LOG, 'utf8'), crlfDelay: Infinity });
+    for await (const line of rl) {
+      if (!line) continue;
+      let ev;
+      try { ev = JSON.parse(line); } catch { continue; }
+      if (ev.seq > since) out.push(ev);
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  return out.sort((a, b) => a.seq - b.seq);
+}
+
+/* ─── access helpers ─── */
+
+function targetMatches(worker, target) {
+  return target === 'any' || target === worker.name || worker.pools.includes(target);
+}
+
+function canAccessJob(who, job) {
+  if (who.role === 'head') return true;
+  const worker = workers.get(who.worker);
+  return !!worker && targetMatches(worker, job.target);
+}
+
+/** Required capabilities the worker lacks (empty when it satisfies the job). */
+function missingLabels(worker, job) {
+  const have = workerLabels(worker);
+  return (job.requires || []).filter(l => !have.includes(l));
+}
+
+/**
+ * Whether a job should be offered to (claimed / listed for) this principal:
+ * target access plus every label in `requires`. canAccessJob alone governs
+ * reading and finishing a job, so a worker whose labels change mid-run can
+ * still complete what it holds.
+ */
+function matchesWorker(who, job) {
+  if (who.role === 'head') return true;
+  if (!canAccessJob(who, job)) return false;
+  return missingLabels(workers.get(who.worker), job).length === 0;
+}
+
+/** Replaces the worker's advertised labels when the request carries `labels`; returns false if invalid. */
+function advertiseLabels(who, raw) {
+  if (who.role !== 'worker' || raw === undefined) return true;
+  const labels = parseLabels(raw);
+  if (labels === undefined) return false;
+  advertisedLabels.set(who.worker, labels);
+  return true;
+}
+
+/* ─── scheduling order ───
+ * Higher `priority` is claimed first; FIFO by createdAt within a level.
+ * Queued jobs gain +1 effective priority per PRIORITY_AGING_SECONDS waited,
+ * so low-priority work cannot starve behind a steady stream of urgent jobs.
+ * The wait counts from when the job became claimable: the latest of
+ * createdAt, runAt and notBefore (retry backoff).
+ */
+
+function effectivePriority(job, now = Date.now()) {
+  const base = job.priority || 0;
+  if (job.status !== 'queued' || !(PRIORITY_AGING_SECONDS > 0)) return base;
+  const queuedSince = Math.max(
+    new Date(job.createdAt).getTime(),
+    job.runAt ? new Date(job.runAt).getTime() : 0,
+    job.notBefore ? new Date(job.notBefore).getTime() : 0,
+  );
+  const waited = Math.max(0, now - queuedSince);
+  return base + Math.floor(waited / (PRIORITY_AGING_SECONDS * 1000));
+}
+
+function compareJobs(a, b, now = Date.now()) {
+  const pa = effectivePriority(a, now);
+  const pb = effectivePriority(b, now);
+  if (pa !== pb) return pb - pa;
+  return a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0;
+}
+
+/* ─── lease tokens ───
+ * Each claim mints a fresh `leaseToken` (returned only in the claim
+ * response). Workers present it on /heartbeat, /complete, /fail and
+ * /release (header `X-Lease-Token` or body `leaseToken`), so a stale
+ * process of the same worker can't act on an attempt it no longer holds.
+ * The head may omit it (admin override). Jobs claimed before tokens
+ * existed have none and fall back to the claimedBy check.
+ */
+
+function presentedLeaseToken(req) {
+  return req.headers['x-lease-token'] ?? (req.body || {}).leaseToken ?? null;
+}
+
+/** { code, body } when the caller doesn't hold the job's current lease, else null. */
+function leaseProblem(who, job, presented) {
+  if (presented) {
+    return presented === job.leaseToken ? null : { code: 409, body: { error: 'lease_lost', status: job.status } };
+  }
+  if (who.role === 'worker' && job.status === 'running' && job.leaseToken) return { code: 400, body: { error: 'missing_lease_token' } };
+  return null;
+}
+
+/** The job as served to API callers and webhooks: without its lease token. */
+function publicJob(job) {
+  const { leaseToken, ...rest } = job;
+  return rest;
+}
+
+/** Only the current claimant (or head as admin override) may mutate a running job. */
+function isOwnerOrHead(who, job) {
+  if (who.role === 'head') return true;
+  return job.claimedBy === who.worker;
+}
+
+function isTerminalStatus(status) {
+  return status === 'done' || status === 'failed' || status === 'dead' || status === 'cancelled';
+}
+
+/** A job with a future runAt must not be claimed yet. */
+function isDue(job, now = Date.now()) {
+  return !job.runAt || new Date(job.runAt).getTime() <= now;
+}
+
+/** A job backing off after a failure must not be claimed before notBefore. */
+function isBackoffOver(job, now = Date.now()) {
+  return !job.notBefore || new Date(job.notBefore).getTime() <= now;
+}
+
+/** Epoch ms at which a waiting job becomes claimable (runAt / notBefore), or null if it is not waiting. */
+function claimableAt(job) {
+  if (job.status !== 'queued' && job.status !== 'scheduled') return null;
+  const runAt     = job.runAt ? new Date(job.runAt).getTime() : 0;
+  const notBefore = job.notBefore ? new Date(job.notBefore).getTime() : 0;
+  return Math.max(runAt, notBefore);
+}
+
+/** Queued (or scheduled but already due), and not backing off. */
+function isClaimable(job, now = Date.now()) {
+  const at = claimableAt(job);
+  return at !== null && at <= now;
+}
+
+/* ─── retry backoff ───
+ * Per-job policy: { type: 'exponential' | 'fixed', baseMs, maxMs, jitter }.
+ * The delay before attempt n+1 is baseMs * 2^(n-1) (exponential) or baseMs
+ * (fixed), capped at maxMs, then reduced by up to `jitter` (0..1) at random.
+ */
+
+function parseBackoff(raw) {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw !== 'object') return undefined;
+  const type   = raw.type ?? 'exponential';
+  const baseMs = raw.baseMs ?? 1000;
+  const maxMs  = raw.maxMs ?? 3600_000;
+  const jitter = raw.jitter === true ? 1 : raw.jitter === false || raw.jitter === undefined ? 0 : raw.jitter;
+  if (type !== 'exponential' && type !== 'fixed') return undefined;
+  if (typeof baseMs !== 'number' || !(baseMs >= 0)) return undefined;
+  if (typeof maxMs !== 'number' || !(maxMs >= baseMs)) return undefined;
+  if (typeof jitter !== 'number' || !(jitter >= 0 && jitter <= 1)) return undefined;
+  return { type, baseMs, maxMs, jitter };
+}
+
+function backoffDelayMs(backoff, attempts) {
+  if (!backoff) return 0;
+  const exp   = backoff.type === 'fixed' ? 0 : Math.max(0, attempts - 1);
+  const delay = Math.min(backoff.maxMs, backoff.baseMs * 2 ** exp);
+  return Math.round(delay * (1 - backoff.jitter * Math.random()));
+}
+
+/** notBefore for a job being requeued after a failed attempt, or null without a policy. */
+function computeNotBefore(job) {
+  const delay = backoffDelayMs(job.backoff, job.attempts || 0);
+  return delay > 0 ? new Date(Date.now() + delay).toISOString() : null;
+}
+
+/**
+ * Accepts an ISO string or epoch ms, or delaySeconds (not both); returns an
+ * ISO string, null when absent, or undefined when invalid.
+ */
+function parseRunAt(body) {
+  const hasRunAt = body.runAt !== undefined && body.runAt !== null;
+  const hasDelay = body.delaySeconds !== undefined && body.delaySeconds !== null;
+  if (hasRunAt && hasDelay) return undefined;
+  if (hasRunAt) {
+    if (typeof body.runAt !== 'string' && !Number.isFinite(body.runAt)) return undefined;
+    const d = new Date(body.runAt);
+    return Number.isNaN(d.getTime()) ? undefined : d.toISOString();
+  }
+  if (hasDelay) {
+    if (!Number.isFinite(body.delaySeconds) || body.delaySeconds < 0) return undefined;
+    return new Date(Date.now() + body.delaySeconds * 1000).toISOString();
+  }
+  return null;
+}
+
+function isLeaseValid(job) {
+  if (!job.leaseUntil) return false;
+  return new Date(job.leaseUntil).getTime() > Date.now();
+}
+
+/* ─── Fastify setup ─── */
+
+const fastify = Fastify({ logger: true });
+await fastify.register(cors, { origin: true });
+await fastify.register(multipart, { limits: { fileSize: BLOB_MAX_BYTES } });
+
+// A write from a stale job copy (see writeJobAtomic) surfaces as 409 version_conflict
+fastify.setErrorHandler((err, _req, reply) => {
+  if (err instanceof JobVersionConflict) return reply.code(409).send({ error: 'version_conflict' });
+  return reply.send(err);
+});
+
+// Raw bodies (chunked blob uploads) are handed to the route as a stream
+fastify.addContentTypeParser('application/octet-stream', (req, payload, done) => done(null, payload));
+
+fastify.get('/health', async () => ({ ok: true, time: nowIso() }));
+fastify.get('/healthz', async () => ({ ok: true, time: nowIso() }));  // deprecated alias
+
+/* ─── GET /skill.md (public, no auth) ─── */
+
+let _skillMdCache = null;
+
+fastify.get('/skill.md', async (_req, reply) => {
+  if (_skillMdCache === null) {
+    try {
+      _skillMdCache = await fs.readFile(SKILL_MD_PATH, 'utf8');
+    } catch (err) {
+      fastify.log.warn({ err: err.message, path: SKILL_MD_PATH }, 'skill.md not found');
+      return reply.code(404).send({ error: 'skill_md_not_found' });
+    }
+  }
+  return reply.type('text/markdown; charset=utf-8').send(_skillMdCache);
+});
+
+/* ─── job construction (shared by POST /jobs, workflows and schedules) ───
+ * buildJob validates a create body and returns { job } or { error } with a
+ * 400-style error code; insertJob persists it and records job.created.
+ */
+
+function buildJob(body, { id = nanoid(), createdBy = 'head' } = {}) {
+  const target      = body.target || 'left-claw';
+  const spec        = body.spec || '';
+  const meta        = body.meta || {};
+  const maxAttempts = typeof body.maxAttempts === 'number' ? body.maxAttempts : DEFAULT_MAX_ATTEMPTS;
+  const priority    = body.priority ?? 0;
+  if (!Number.isInteger(priority)) return { error: 'invalid_priority' };
+  const runAt       = parseRunAt(body);
+  if (runAt === undefined) return { error: 'invalid_run_at' };
+  const backoff     = parseBackoff(body.backoff);
+  if (backoff === undefined) return { error: 'invalid_backoff' };
+  if (!Array.isArray(body.dependsOn ?? [])) return { error: 'invalid_depends_on' };
+  const dependsOn   = [...(body.dependsOn ?? [])];
+  if (!dependsOn.every(d => typeof d === 'string' && d)) return { error: 'invalid_depends_on' };
+  const onParentFailure = body.onParentFailure ?? 'cancel';
+  if (!PARENT_FAILURE_POLICIES.includes(onParentFailure)) return { error: 'invalid_on_parent_failure' };
+  const inputs      = parseInputs(body.inputs);
+  if (inputs === undefined) return { error: 'invalid_inputs' };
+  const requires    = parseLabels(body.requires);
+  if (requires === undefined) return { error: 'invalid_requires' };
+  const dedupeKey   = parseIdempotencyKey(body.dedupeKey);
+  if (dedupeKey === undefined) return { error: 'invalid_dedupe_key' };
+  // A job consuming another job's result implicitly waits for it
+  for (const ref of Object.values(inputs)) {
+    if (ref.fromJob && !dependsOn.includes(ref.fromJob)) dependsOn.push(ref.fromJob);
+  }
+
+  const job = {
+    id,
+    version: 0,
+    target,
+    status: dependsOn.length ? 'blocked' : readyStatus({ runAt }),
+    runAt,
+    dependsOn: [...new Set(dependsOn)],
+    onParentFailure,
+    inputs,
+    requires,
+    dedupeKey,
+    createdAt: nowIso(),
+    updatedAt: nowIso(),
+    createdBy,
+    claimedBy: null,
+    leaseUntil: null,
+    leaseToken: null,
+    attempts: 0,
+    maxAttempts,
+    backoff,
+    notBefore: null,
+    priority,
+    spec,
+    meta,
+    comments: [],
+    result: null,
+    attachments: [],
+    error: null,
+  };
+  return { job };
+}
+
+async function insertJob(job) {
+  // Parents may already have finished; settle before the first write
+  if (job.status === 'blocked') {
+    const dep = await dependencyState(job);
+    if (dep.state === 'ready') job.status = readyStatus(job);
+    if (dep.state === 'cancel') {
+      job.status       = 'cancelled';
+      job.cancelReason = dep.reason;
+    }
+  }
+  await writeJobAtomic(job.id, job);
+  await appendEvent(job.id, {
+    t: nowIso(), type: 'job.created', by: job.createdBy, target: job.target, status: job.status, runAt: job.runAt,
+    priority: job.priority, maxAttempts: job.maxAttempts, requires: job.requires, spec: summarize(job.spec), meta: job.meta,
+  });
+}
+
+/* ─── dependencies ───
+ * A job with `dependsOn` starts `blocked` and becomes claimable once every
+ * parent is `done`. If a parent ends failed/dead/cancelled, the child is
+ * cancelled (`onParentFailure: 'cancel'`, the default) or treats that parent
+ * as satisfied (`'ignore'`). Resolution is driven by job writes on jobBus,
+ * with the reaper re-checking blocked jobs as a safety net.
+ */
+
+const PARENT_FAILURE_POLICIES = ['cancel', 'ignore'];
+
+/** Status a job takes once nothing blocks it. */
+function readyStatus(job) {
+  return job.runAt && !isDue(job) ? 'scheduled' : 'queued';
+}
+
+/** { state: 'ready' | 'wait' } or { state: 'cancel', parent, reason }. */
+async function dependencyState(job) {
+  let waiting = false;
+  for (const pid of job.dependsOn || []) {
+    let parent;
+    try { parent = await readJob(pid); } catch { return { state: 'cancel', parent: pid, reason: 'parent_missing' }; }
+    if (parent.status === 'done') continue;
+    if (isTerminalStatus(parent.status)) {
+      if (job.onParentFailure === 'ignore') continue;
+      return { state: 'cancel', parent: pid, reason: `parent_${parent.status}` };
+    }
+    waiting = true;
+  }
+  return { state: waiting ? 'wait' : 'ready' };
+}
+
+/** Re-evaluates a blocked job; returns true if its status changed. */
+async function settleBlockedJob(id, by) {
+  return withJobLock(id, async () => {
+    let job;
+    try { job = await readJob(id); } catch { return false; }
+    if (job.status !== 'blocked') return false;
+    const dep = await dependencyState(job);
+    if (dep.state === 'wait') return false;
+
+    if (dep.state === 'ready') {
+      job.status    = readyStatus(job);
+      job.updatedAt = nowIso();
+      await writeJobAtomic(job.id, job);
+      await appendEvent(job.id, { t: nowIso(), type: 'job.unblocked', by, status: job.status });
+    } else {
+      job.status       = 'cancelled';
+      job.cancelReason = dep.reason;
+      job.updatedAt    = nowIso();
+      await writeJobAtomic(job.id, job);
+      await appendEvent(job.id, { t: nowIso(), type: 'job.cancelled', by, reason: dep.reason, parent: dep.parent });
+    }
+    return true;
+  });
+}
+
+async function resolveDependents(parentId) {
+  const children = jobsWithStatus('blocked').filter(j => j.dependsOn?.includes(parentId));
+  for (const child of children) await settleBlockedJob(child.id, 'system');
+}
+
+jobBus.on('job', (job) => {
+  if (!isTerminalStatus(job.status)) return;
+  resolveDependents(job.id).catch(err => fastify.log.warn({ jobId: job.id, err: err.message }, 'dependency resolution failed'));
+});
+
+async function findMissingDependency(ids) {
+  for (const pid of ids) {
+    try { await readJob(pid); } catch { return pid; }
+  }
+  return null;
+}
+
+/* ─── job inputs ───
+ * `inputs` maps a name to one of:
+ *   { fromJob: id, path?: 'a.b[0]' }  another job's result (or a path within it)
+ *   { blob: blobId }                  an uploaded blob
+ *   { value: any }                    a literal
+ * They are resolved at read time into `resolvedInputs` on GET /jobs/:id and
+ * claim responses; a fromJob input appears once its job is `done`.
+ */
+
+function parseInputs(raw) {
+  if (raw === undefined || raw === null) return {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) return undefined;
+  const out = {};
+  for (const [name, ref] of Object.entries(raw)) {
+    if (!ref || typeof ref !== 'object') return undefined;
+    const kinds = ['fromJob', 'blob', 'value'].filter(k => ref[k] !== undefined);
+    if (kinds.length !== 1) return undefined;
+    if (ref.fromJob !== undefined) {
+      if (typeof ref.fromJob !== 'string' || !ref.fromJob) return undefined;
+      if (ref.path !== undefined && typeof ref.path !== 'string') return undefined;
+      out[name] = ref.path ? { fromJob: ref.fromJob, path: ref.path } : { fromJob: ref.fromJob };
+    } else if (ref.blob !== undefined) {
+      if (typeof ref.blob !== 'string' || !ref.blob) return undefined;
+      out[name] = { blob: ref.blob };
+    } else {
+      out[name] = { value: ref.value };
+    }
+  }
+  return out;
+}
+
+/** Reads `a.b[0].c` out of a value; undefined when any step is missing. */
+function getPath(value, p) {
+  if (!p) return value;
+  let cur = value;
+  for (const key of p.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean)) {
+    if (cur === null || typeof cur !== 'object' || !(key in cur)) return undefined;
+    cur = cur[key];
+  }
+  return cur;
+}
+
+/** Response view of a job with its available inputs resolved. */
+async function withResolvedInputs(job) {
+  const entries = Object.entries(job.inputs || {});
+  if (!entries.length) return job;
+  const resolvedInputs = {};
+  const pending = [];
+  for (const [name, ref] of entries) {
+    if (ref.value !== undefined) {
+      resolvedInputs[name] = ref.value;
+    } else if (ref.blob) {
+      const meta = await readBlobMeta(ref.blob).catch(() => null);
+      resolvedInputs[name] = meta
+        ? { blobId: ref.blob, filename: meta.filename, contentType: meta.contentType, size: meta.size, sha256: meta.sha256 }
+        : { blobId: ref.blob };
+    } else {
+      let parent = null;
+      try { parent = await readJob(ref.fromJob); } catch {}
+      if (parent?.status === 'done') resolvedInputs[name] = getPath(parent.result, ref.path) ?? null;
+      else pending.push(name);
+    }
+  }
+  return { ...job, resolvedInputs, pendingInputs: pending };
+}
+
+/* ─── idempotency ───
+ * Creation: a `dedupeKey` (body) or `Idempotency-Key` (header) is stored on
+ * the job. Repeating it within IDEMPOTENCY_WINDOW_SECONDS returns the
+ * existing job instead of creating another; with `uniqueWhileActive` a
+ * second job is refused while one with the key is unfinished, whatever
+ * its age. Transitions: /complete and /fail record the request's key in
+ * `lastTransition`, so a retried call replays the job instead of
+ * transitioning it again.
+ */
+
+/** A trimmed key (1–200 chars), null when absent, or undefined when invalid. */
+function parseIdempotencyKey(raw) {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw !== 'string' || !raw.trim() || raw.length > 200) return undefined;
+  return raw.trim();
+}
+
+const withDedupeKey = createKeyedMutex();
+
+/** The job a new job with this key should defer to: { replay } or { conflict }, or null to create. */
+function findDuplicateJob(key, uniqueWhileActive, now = Date.now()) {
+  const jobs = [...(idsByDedupeKey.get(key) || [])].map(id => jobsById.get(id));
+  if (uniqueWhileActive) {
+    const active = jobs.find(j => !isTerminalStatus(j.status));
+    return active ? { conflict: active } : null;
+  }
+  const recent = jobs
+    .filter(j => now - new Date(j.createdAt).getTime() < IDEMPOTENCY_WINDOW_SECONDS * 1000)
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))[0];
+  return recent ? { replay: recent } : null;
+}
+
+/** Validates, dedupes and inserts one create body; returns { code, body, replayed? } like claimById. */
+async function createJobOnce(body) {
+  const { job, error } = buildJob(body);
+  if (error) return { code: 400, body: { error } };
+  const create = async () => {
+    if (job.dedupeKey) {
+      const dup = findDuplicateJob(job.dedupeKey, body.uniqueWhileActive === true);
+      if (dup?.conflict) return { code: 409, body: { error: 'duplicate_active', id: dup.conflict.id, status: dup.conflict.status } };
+      if (dup?.replay) return { code: 200, body: structuredClone(dup.replay), replayed: true };
+    }
+    const missing = await findMissingDependency(job.dependsOn);
+    if (missing) return { code: 400, body: { error: 'unknown_dependency', id: missing } };
+    await insertJob(job);
+    return { code: 201, body: job };
+  };
+  return job.dedupeKey ? withDedupeKey(job.dedupeKey, create) : create();
+}
+
+/** Replays a complete / fail already applied under this key; null when the call is new. */
+function replayedTransition(job, action, key) {
+  const last = job.lastTransition;
+  return key && last?.key === key && last.action === action ? job : null;
+}
+
+/* ─── POST /jobs (head only) ─── */
+
+fastify.post('/jobs', { preHandler: requireRole(['head'], 'jobs:create') }, async (req, reply) => {
+  const body = { ...(req.body || {}) };
+  if (req.headers['idempotency-key'] !== undefined) body.dedupeKey = req.headers['idempotency-key'];
+  const r = await createJobOnce(body);
+  if (r.replayed) reply.header('idempotent-replayed', 'true');
+  return reply.code(r.code).send(r.code < 300 ? publicJob(r.body) : r.body);
+});
+
+/* ─── POST /workflows (head only) ───
+ * Creates a DAG in one request. Each entry is a POST /jobs body plus a `key`;
+ * `dependsOn` and `inputs[*].fromJob` may name other keys in the same
+ * workflow or existing job ids.
+ * Everything is validated before the first write, and parents are written
+ * before their children.
+ */
+
+fastify.post('/workflows', { preHandler: requireRole(['head'], 'jobs:create') }, async (req, reply) => {
+  const body    = req.body || {};
+  const entries = body.jobs;
+  if (!Array.isArray(entries) || !entries.length) return reply.code(400).send({ error: 'missing_jobs' });
+
+  const workflowId = nanoid();
+  const idsByKey   = new Map();
+  for (const entry of entries) {
+    if (!entry || typeof entry.key !== 'string' || !entry.key) return reply.code(400).send({ error: 'missing_key' });
+    if (idsByKey.has(entry.key)) return reply.code(400).send({ error: 'duplicate_key', key: entry.key });
+    idsByKey.set(entry.key, nanoid());
+  }
+
+  const jobsByKey = new Map();
+  for (const entry of entries) {
+    if (entry.dependsOn !== undefined && !Array.isArray(entry.dependsOn)) {
+      return reply.code(400).send({ error: 'invalid_depends_on', key: entry.key });
+    }
+    const dependsOn = (entry.dependsOn || []).map(d => idsByKey.get(d) ?? d);
+    const { key, ...jobBody } = entry;
+    if (entry.inputs && typeof entry.inputs === 'object') {
+      jobBody.inputs = Object.fromEntries(Object.entries(entry.inputs).map(([name, ref]) => [
+        name, ref && typeof ref.fromJob === 'string' ? { ...ref, fromJob: idsByKey.get(ref.fromJob) ?? ref.fromJob } : ref,
+      ]));
+    }
+    const { job, error } = buildJob({ ...jobBody, dependsOn }, { id: idsByKey.get(key) });
+    if (error) return reply.code(400).send({ error, key });
+    job.workflowId = workflowId;
+    jobsByKey.set(key, job);
+  }
+
+  // Topological order (Kahn); a leftover node means a cycle
+  const internalIds = new Set(idsByKey.values());
+  const pending = new Map([...jobsByKey].map(([key, job]) => [key, job.dependsOn.filter(d => internalIds.has(d)).length]));
+  const order   = [];
+  while (pending.size) {
+    const ready = [...pending].filter(([, n]) => n === 0).map(([key]) => key);
+    if (!ready.length) return reply.code(400).send({ error: 'dependency_cycle', keys: [...pending.keys()] });
+    for (const key of ready) {
+      pending.delete(key);
+      order.push(key);
+      const id = idsByKey.get(key);
+      for (const [k, n] of pending) {
+        if (jobsByKey.get(k).dependsOn.includes(id)) pending.set(k, n - 1);
+      }
+    }
+  }
+
+  const external = [...jobsByKey.values()].flatMap(j => j.dependsOn).filter(d => !internalIds.has(d));
+  const missing  = await findMissingDependency([...new Set(external)]);
+  if (missing) return reply.code(400).send({ error: 'unknown_dependency', id: missing });
+
+  const created = [];
+  try {
+    for (const key of order) {
+      const job = jobsByKey.get(key);
+      await insertJob(job);
+      created.push(job);
+    }
+  } catch (err) {
+    // Roll back the partial DAG so no orphaned children are left blocked forever
+    for (const job of created) {
+      try { await deleteJobFile(job.id); } catch {}
+    }
+    throw err;
+  }
+
+  return reply.code(201).send({ workflowId, ids: Object.fromEntries(idsByKey), jobs: created.map(publicJob) });
+});
+
+/* ─── GET /jobs ─── */
+
+/* Listing: filters are ANDed; `sort` pages by keyset (sort value + id) so
+ * cursors stay valid while jobs are written. Without `sort`, jobs come in
+ * claim order, which shifts with aging and can't be paged — `limit` then
+ * falls back to `createdAt`.
+ */
+
+const JOB_SORT_FIELDS = ['createdAt', 'updatedAt', 'priority'];
+const JOB_TIME_FILTERS = { createdAfter: ['createdAt', 1], createdBefore: ['createdAt', -1], updatedAfter: ['updatedAt', 1], updatedBefore: ['updatedAt', -1] };
+
+function parseJobSort(raw) {
+  if (raw == null || raw === '') return null;
+  const desc  = String(raw).startsWith('-');
+  const field = desc ? String(raw).slice(1) : String(raw);
+  return JOB_SORT_FIELDS.includes(field) ? { field, desc } : undefined;
+}
+
+function jobSortValue(job, field) {
+  return field === 'priority' ? (job.priority ?? 0) : job[field];
+}
+
+function compareBySort(a, b, sort) {
+  const va = jobSortValue(a, sort.field);
+  const vb = jobSortValue(b, sort.field);
+  const c  = va < vb ? -1 : va > vb ? 1 : a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  return sort.desc ? -c : c;
+}
+
+function encodeCursor(job, sort) {
+  const key = `${sort.desc ? '-' : ''}${sort.field}`;
+  return Buffer.from(JSON.stringify({ s: key, v: jobSortValue(job, sort.field), id: job.id })).toString('base64url');
+}
+
+/** Decodes a cursor issued for the same sort; null when malformed or for another sort. */
+function decodeCursor(raw, sort) {
+  try {
+    const c = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+    if (c?.s !== `${sort.desc ? '-' : ''}${sort.field}` || typeof c.id !== 'string') return null;
+    return { id: c.id, [sort.field]: c.v };
+  } catch {
+    return null;
+  }
+}
+
+/** Builds a predicate from the list query, or returns { error } for a bad filter. */
+function parseJobFilters(q) {
+  const statuses = q.status ? new Set(String(q.status).split(',').map(st => st.trim()).filter(Boolean)) : null;
+  const ranges = [];
+  for (const [param, [field, dir]] of Object.entries(JOB_TIME_FILTERS)) {
+    if (q[param] == null) continue;
+    const at = new Date(String(q[param]));
+    if (isNaN(at)) return { error: 'invalid_time_range' };
+    ranges.push({ field, dir, at: at.toISOString() });
+  }
+  const meta = Object.entries(q).filter(([k]) => k.startsWith('meta.') && k.length > 5).map(([k, v]) => [k.slice(5), String(v)]);
+  const text = q.q ? String(q.q).toLowerCase() : null;
+
+  return {
+    statuses,
+    match: (job) => {
+      if (statuses && !statuses.has(job.status)) return false;
+      if (q.claimedBy && job.claimedBy !== q.claimedBy) return false;
+      for (const r of ranges) {
+        if (r.dir > 0 ? !(job[r.field] >= r.at) : !(job[r.field] < r.at)) return false;
+      }
+      for (const [k, v] of meta) {
+        if (job.meta?.[k] == null || String(job.meta[k]) !== v) return false;
+      }
+      if (text) {
+        const spec = typeof job.spec === 'string' ? job.spec : JSON.stringify(job.spec ?? '');
+        if (!spec.toLowerCase().includes(text)) return false;
+      }
+      return true;
+    },
+  };
+}
+
+/** Keeps only the requested top-level fields (`id` always stays). */
+function projectJob(job, fields) {
+  if (!fields) return job;
+  const out = { id: job.id };
+  for (const f of fields) if (f in job) out[f] = job[f];
+  return out;
+}
+
+fastify.get('/jobs', { preHandler: requireRole(['head', 'worker'], 'jobs:read') }, async (req, reply) => {
+  const who    = req.who;
+  const q      = req.query || {};
+  const limit  = q.limit != null ? Math.min(Math.max(parseInt(q.limit, 10) || 100, 1), 1000) : null;
+  const fields = q.fields ? String(q.fields).split(',').map(f => f.trim()).filter(Boolean) : null;
+
+  let sort = parseJobSort(q.sort);
+  if (sort === undefined) return reply.code(400).send({ error: 'invalid_sort', allowed: JOB_SORT_FIELDS });
+  if (!sort && (limit || q.cursor)) sort = { field: 'createdAt', desc: false };
+
+  const filters = parseJobFilters(q);
+  if (filters.error) return reply.code(400).send({ error: filters.error });
+
+  let after = null;
+  if (q.cursor) {
+    after = decodeCursor(q.cursor, sort);
+    if (!after) return reply.code(400).send({ error: 'invalid_cursor' });
+  }
+
+  const candidates = filters.statuses?.size === 1 ? findJobs({ status: [...filters.statuses][0], target: q.target }) : findJobs({ target: q.target });
+  let jobs = candidates
+    .filter(job => matchesWorker(who, job) || (who.role === 'worker' && job.claimedBy === who.worker))
+    .filter(filters.match);
+
+  if (sort) {
+    jobs.sort((a, b) => compareBySort(a, b, sort));
+    if (after) jobs = jobs.filter(job => compareBySort(job, after, sort) > 0);
+  } else {
+    const now = Date.now();
+    jobs.sort((a, b) => compareJobs(a, b, now));
+  }
+
+  let nextCursor = null;
+  if (limit && jobs.length > limit) {
+    jobs = jobs.slice(0, limit);
+    nextCursor = encodeCursor(jobs[jobs.length - 1], sort);
+  }
+  return { jobs: jobs.map(job => projectJob(publicJob(job), fields)), nextCursor };
+});
+
+/* ─── GET /jobs/:id ─── */
+
+fastify.get('/jobs/:id', { preHandler: requireRole(['head', 'worker'], 'jobs:read') }, async (req, reply) => {
+  const who  = req.who;
+  const id   = req.params.id;
+  const waitMs = parseWaitMs(req.query?.waitMs);
+
+  // Subscribe first so a status change between read and wait is not lost
+  let baseline;
+  const waiter = jobWaiter(j => j.id === id && j.status !== baseline);
+
+  let job;
+  try { job = await readJob(id); } catch { waiter.cancel(); return reply.code(404).send({ error: 'not_found' }); }
+  if (!canAccessJob(who, job)) { waiter.cancel(); return reply.code(403).send({ error: 'forbidden' }); }
+  baseline = job.status;
+
+  // Long-poll: hold until the status changes (terminal jobs return immediately)
+  if (!waitMs || isTerminalStatus(job.status)) {
+    waiter.cancel();
+    reply.header('etag', jobEtag(job));
+    // resolvedInputs follow other jobs, so the version alone cannot vouch for them
+    const hasInputs = Object.keys(job.inputs || {}).length > 0;
+    if (!hasInputs && req.headers['if-none-match'] === jobEtag(job)) return reply.code(304).send();
+    return withResolvedInputs(publicJob(job));
+  }
+  const latest = (await awaitWaiter(waiter, waitMs, reply)) || job;
+  reply.header('etag', jobEtag(latest));
+  return withResolvedInputs(publicJob(latest));
+});
+
+/* ─── claim (shared by /jobs/:id/claim and /jobs/claim-next) ───
+ * Returns { code, body } so callers can either reply directly or, for
+ * claim-next, skip to the next candidate on a 409.
+ */
+
+async function claimById(id, who, { ifMatch } = {}) {
+  const claimer = principalName(who);
+  return withJobLock(id, async () => {
+    let job;
+    try { job = await readJob(id); } catch { return { code: 404, body: { error: 'not_found' } }; }
+    if (!ifMatchSatisfied(ifMatch, job)) return { code: 412, body: versionMismatch(job) };
+    if (!canAccessJob(who, job)) return { code: 403, body: { error: 'forbidden' } };
+    const missing = missingLabels(workers.get(who.worker), job);
+    if (missing.length) return { code: 403, body: { error: 'missing_labels', missing } };
+
+    // Scheduled jobs only become claimable once runAt has passed
+    if (!isDue(job)) return { code: 409, body: { error: 'not_due', status: job.status, runAt: job.runAt } };
+    if (job.status === 'queued' && !isBackoffOver(job)) {
+      return { code: 409, body: { error: 'backing_off', notBefore: job.notBefore } };
+    }
+
+    // Must be queued to claim
+    if (job.status !== 'queued') {
+      if (job.status === 'running' && isLeaseValid(job)) {
+        return { code: 409, body: { error: 'already_claimed', claimedBy: job.claimedBy, leaseUntil: job.leaseUntil } };
+      }
+      if (isTerminalStatus(job.status)) {
+        return { code: 409, body: { error: 'terminal_status', status: job.status } };
+      }
+      if (job.status === 'blocked') {
+        return { code: 409, body: { error: 'blocked', dependsOn: job.dependsOn } };
+      }
+    }
+
+    // Enforce maxAttempts
+    const maxAttempts = job.maxAttempts ?? DEFAULT_MAX_ATTEMPTS;
+    if (job.attempts >= maxAttempts) {
+      job.status = 'dead';
+      job.leaseToken = null;
+      job.updatedAt = nowIso();
+      await writeJobAtomic(id, job);
+      await appendEvent(id, { t: nowIso(), type: 'job.dead', by: 'system', reason: 'max_attempts_reached', attempts: job.attempts });
+      return { code: 409, body: { error: 'max_attempts_reached', attempts: job.attempts, maxAttempts } };
+    }
+
+    job.status     = 'running';
+    job.claimedBy  = claimer;
+    job.leaseUntil = new Date(Date.now() + LEASE_SECONDS * 1000).toISOString();
+    job.leaseToken = `lt_${nanoid()}`;
+    job.notBefore  = null;
+    job.attempts   = (job.attempts || 0) + 1;
+    job.updatedAt  = nowIso();
+
+    await writeJobAtomic(id, job);
+    await appendEvent(id, { t: nowIso(), type: 'job.claimed', by: claimer, leaseUntil: job.leaseUntil, attempt: job.attempts });
+    return { code: 200, body: await withResolvedInputs(job) };
+  });
+}
+
+/* ─── POST /jobs/claim-next (claws) ───
+ * Picks the best queued job this claw may access (see compareJobs; optionally
+ * filtered by meta equality) and claims it. Candidates lost to a concurrent claim are
+ * skipped, so callers never see `locked` / `already_claimed`.
+ */
+
+function matchesMeta(job, metaFilter) {
+  if (!metaFilter) return true;
+  const meta = job.meta || {};
+  for (const [k, v] of Object.entries(metaFilter)) {
+    if (meta[k] !== v) return false;
+  }
+  return true;
+}
+
+fastify.post('/jobs/claim-next', { preHandler: requireRole(['worker'], 'jobs:write') }, async (req, reply) => {
+  const who  = req.who;
+  const body = req.body || {};
+  const metaFilter = body.meta && typeof body.meta === 'object' ? body.meta : null;
+  if (!advertiseLabels(who, body.labels)) return reply.code(400).send({ error: 'invalid_labels' });
+  const eligible   = job => isClaimable(job) && matchesWorker(who, job) && matchesMeta(job, metaFilter);
+  const deadline   = Date.now() + parseWaitMs(req.query?.waitMs ?? body.waitMs);
+
+  let aborted = false;
+  reply.raw.once('close', () => { aborted = true; });
+
+  while (!aborted) {
+    const waiter = jobWaiter(eligible);
+    const now  = Date.now();
+    const jobs = jobsWithStatus('queued', 'scheduled').filter(job => matchesWorker(who, job) && matchesMeta(job, metaFilter));
+    const candidates = jobs
+      .filter(job => isClaimable(job, now))
+      .sort((a, b) => compareJobs(a, b, now));
+
+    for (const candidate of candidates) {
+      const r = await claimById(candidate.id, who);
+      if (r.code === 200) { waiter.cancel(); return r.body; }
+    }
+
+    // Long-poll: sleep until a matching job is queued or a waiting one
+    // (runAt / notBefore) comes due, then rescan
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) { waiter.cancel(); break; }
+    let sleepMs = remaining;
+    for (const job of jobs) {
+      const at = claimableAt(job);
+      if (at !== null && at > now) sleepMs = Math.min(sleepMs, at - Date.now() + 1);
+    }
+    await awaitWaiter(waiter, Math.max(sleepMs, 1), reply);
+  }
+  return reply.code(204).send();
+});
+
+/* ─── GET /jobs/:id/graph ───
+ * The job's dependency component: every ancestor (via dependsOn) and every
+ * descendant, as nodes plus parent → child edges. For workers, nodes of jobs
+ * they cannot access are reduced to `{ id, status: 'hidden' }`, without the
+ * edges leading into them.
+ */
+
+fastify.get('/jobs/:id/graph', { preHandler: requireRole(['head', 'worker'], 'jobs:read') }, async (req, reply) => {
+  const who  = req.who;
+  const id   = req.params.id;
+
+  let root;
+  try { root = await readJob(id); } catch { return reply.code(404).send({ error: 'not_found' }); }
+  if (!canAccessJob(who, root)) return reply.code(403).send({ error: 'forbidden' });
+
+  const all      = new Map(allJobs().map(j => [j.id, j]));
+  const children = new Map();
+  for (const job of all.values()) {
+    for (const pid of job.dependsOn || []) {
+      if (!children.has(pid)) children.set(pid, []);
+      children.get(pid).push(job.id);
+    }
+  }
+
+  const seen  = new Set([id]);
+  const queue = [id];
+  while (queue.length) {
+    const cur = queue.shift();
+    const next = [...(all.get(cur)?.dependsOn || []), ...(children.get(cur) || [])];
+    for (const n of next) {
+      if (!seen.has(n)) { seen.add(n); queue.push(n); }
+    }
+  }
+
+  const nodes = [...seen].map((nid) => {
+    const j = all.get(nid);
+    if (!j) return { id: nid, status: 'missing', target: null, dependsOn: [], workflowId: null };
+    if (!canAccessJob(who, j)) return { id: nid, status: 'hidden', target: null, dependsOn: [], workflowId: null };
+    return { id: nid, status: j.status, target: j.target, dependsOn: j.dependsOn || [], workflowId: j.workflowId ?? null };
+  });
+  const edges = nodes.flatMap(n => n.dependsOn.filter(p => seen.has(p)).map(p => ({ from: p, to: n.id })));
+  return { root: id, nodes, edges };
+});
+
+/* ─── GET /jobs/:id/events ───
+ * Paginated audit trail: ?since=<seq> (exclusive), ?limit=, ?type= (CSV).
+ * `nextSince` is the cursor for the next page, null when exhausted.
+ */
+
+fastify.get('/jobs/:id/events', { preHandler: requireRole(['head', 'worker'], 'jobs:read') }, async (req, reply) => {
+  const who   = req.who;
+  const id    = req.params.id;
+  const q     = req.query || {};
+  const since = parseInt(q.since ?? '0', 10) || 0;
+  const limit = Math.min(Math.max(parseInt(q.limit ?? '100', 10) || 100, 1), 1000);
+  const types = q.type ? new Set(String(q.type).split(',').map(t => t.trim()).filter(Boolean)) : null;
+
+  let job;
+  try { job = await readJob(id); } catch { return reply.code(404).send({ error: 'not_found' }); }
+  if (!canAccessJob(who, job)) return reply.code(403).send({ error: 'forbidden' });
+
+  const matching = (await readJobEvents(id))
+    .filter(ev => (ev.seq || 0) > since && (!types || types.has(ev.type)));
+  const events = matching.slice(0, limit);
+  const nextSince = matching.length > limit ? events[events.length - 1].seq : null;
+  return { events, nextSince };
+});
+
+/* ─── POST /jobs/:id/claim (claws) ─── */
+
+fastify.post('/jobs/:id/claim', { preHandler: requireRole(['worker'], 'jobs:write') }, async (req, reply) => {
+  if (!advertiseLabels(req.who, (req.body || {}).labels)) return reply.code(400).send({ error: 'invalid_labels' });
+  const r = await claimById(req.params.id, req.who, { ifMatch: req.headers['if-match'] });
+  if (r.code === 200) reply.header('etag', jobEtag(r.body));
+  return reply.code(r.code).send(r.body);
+});
+
+/* ─── POST /jobs/:id/heartbeat ─── */
+
+fastify.post('/jobs/:id/heartbeat', { preHandler: requireRole(['head', 'worker'], 'jobs:write') }, async (req, reply) => {
+  const who  = req.who;
+  const id   = req.params.id;
+  const body = req.body || {};
+
+  return withJobLock(id, async () => {
+    if (!advertiseLabels(who, body.labels)) return reply.code(400).send({ error: 'invalid_labels' });
+
+    let job;
+    try { job = await readJob(id); } catch { return reply.code(404).send({ error: 'not_found' }); }
+    if (!ifMatchSatisfied(req.headers['if-match'], job)) return reply.code(412).send(versionMismatch(job));
+    if (!canAccessJob(who, job)) return reply.code(403).send({ error: 'forbidden' });
+    const lease = leaseProblem(who, job, presentedLeaseToken(req));
+    if (lease) return reply.code(lease.code).send(lease.body);
+    if (!isOwnerOrHead(who, job)) return reply.code(403).send({ error: 'not_owner' });
+    if (job.status !== 'running') return reply.code(409).send(notRunningBody(job));
+
+    const claimer = principalName(who);
+    job.leaseUntil = new Date(Date.now() + LEASE_SECONDS * 1000).toISOString();
+    job.updatedAt  = nowIso();
+    if (body.progress !== undefined) job.progress = body.progress;
+
+    await writeJobAtomic(id, job);
+    await appendEvent(id, { t: nowIso(), type: 'job.heartbeat', by: claimer, progress: body.progress ?? null });
+    return reply.header('etag', jobEtag(job)).send(publicJob(job));
+  });
+});
+
+/* ─── POST /jobs/:id/complete ─── */
+
+fastify.post('/jobs/:id/complete', { preHandler: requireRole(['head', 'worker'], 'jobs:write') }, async (req, reply) => {
+  const who  = req.who;
+  const id   = req.params.id;
+  const body = req.body || {};
+  const key  = parseIdempotencyKey(req.headers['idempotency-key']);
+  if (key === undefined) return reply.code(400).send({ error: 'invalid_idempotency_key' });
+
+  return withJobLock(id, async () => {
+    let job;
+    try { job = await readJob(id); } catch { return reply.code(404).send({ error: 'not_found' }); }
+    if (!ifMatchSatisfied(req.headers['if-match'], job)) return reply.code(412).send(versionMismatch(job));
+    if (!canAccessJob(who, job)) return reply.code(403).send({ error: 'forbidden' });
+    const replay = replayedTransition(job, 'complete', key);
+    if (replay) return reply.header('idempotent-replayed', 'true').send(publicJob(replay));
+    const lease = leaseProblem(who, job, presentedLeaseToken(req));
+    if (lease) return reply.code(lease.code).send(lease.body);
+    if (!isOwnerOrHead(who, job)) return reply.code(403).send({ error: 'not_owner' });
+    if (job.status !== 'running') return reply.code(409).send(notRunningBody(job));
+
+    const attachments = body.attachments ?? [];
+    if (!Array.isArray(attachments) || !attachments.every(b => typeof b === 'string')) {
+      return reply.code(400).send({ error: 'invalid_attachments' });
+    }
+    for (const blobId of attachments) {
+      const meta = await readBlobMeta(blobId).catch(() => null);
+      if (!meta) return reply.code(400).send({ error: 'unknown_blob', id: blobId });
+      if (!canAccessBlob(who, meta)) return reply.code(403).send({ error: 'forbidden_blob', id: blobId });
+    }
+
+    const claimer = principalName(who);
+    job.status      = 'done';
+    job.result      = body.result || null;
+    job.attachments = [...new Set(attachments)];
+    job.error       = null;
+    job.leaseUntil  = null;
+    job.leaseToken  = null;
+    job.updatedAt   = nowIso();
+    job.lastTransition = key ? { key, action: 'complete', by: claimer, at: job.updatedAt } : null;
+
+    await writeJobAtomic(id, job);
+    await appendEvent(id, { t: nowIso(), type: 'job.completed', by: claimer, status: 'done', attempt: job.attempts, result: summarize(job.result), attachments: job.attachments });
+    await recordOutcome(job.claimedBy, 'completed');
+    return reply.header('etag', jobEtag(job)).send(publicJob(job));
+  });
+});
+
+/* ─── POST /jobs/:id/fail ─── */
+
+fastify.post('/jobs/:id/fail', { preHandler: requireRole(['head', 'worker'], 'jobs:write') }, async (req, reply) => {
+  const who  = req.who;
+  const id   = req.params.id;
+  const body = req.body || {};
+  const key  = parseIdempotencyKey(req.headers['idempotency-key']);
+  if (key === undefined) return reply.code(400).send({ error: 'invalid_idempotency_key' });
+
+  return withJobLock(id, async () => {
+    let job;
+    try { job = await readJob(id); } catch { return reply.code(404).send({ error: 'not_found' }); }
+    if (!ifMatchSatisfied(req.headers['if-match'], job)) return reply.code(412).send(versionMismatch(job));
+    if (!canAccessJob(who, job)) return reply.code(403).send({ error: 'forbidden' });
+    const replay = replayedTransition(job, 'fail', key);
+    if (replay) return reply.header('idempotent-replayed', 'true').send(publicJob(replay));
+    const lease = leaseProblem(who, job, presentedLeaseToken(req));
+    if (lease) return reply.code(lease.code).send(lease.body);
+    if (!isOwnerOrHead(who, job)) return reply.code(403).send({ error: 'not_owner' });
+    if (job.status !== 'running') return reply.code(409).send(notRunningBody(job));
+
+    const claimer    = principalName(who);
+    const holder     = job.claimedBy;
+    const maxAttempts = job.maxAttempts ?? DEFAULT_MAX_ATTEMPTS;
+    const requeue    = body.requeue !== false && job.attempts < maxAttempts;
+
+    if (requeue) {
+      // Return to queued so another worker (or the same one) can retry,
+      // after the job's backoff delay if it has one
+      job.status     = 'queued';
+      job.claimedBy  = null;
+      job.leaseUntil = null;
+      job.notBefore  = computeNotBefore(job);
+      job.error      = body.error || null;
+    } else {
+      // Terminal failure
+      job.status     = job.attempts >= maxAttempts ? 'dead' : 'failed';
+      job.leaseUntil = null;
+      job.error      = body.error || null;
+    }
+    job.leaseToken = null;
+    job.updatedAt = nowIso();
+    job.lastTransition = key ? { key, action: 'fail', by: claimer, at: job.updatedAt } : null;
+
+    await writeJobAtomic(id, job);
+    await appendEvent(id, { t: nowIso(), type: 'job.failed', by: claimer, requeued: requeue, status: job.status, attempt: job.attempts, notBefore: job.notBefore ?? null, error: body.error || null });
+    await recordOutcome(holder, 'failed');
+    return reply.header('etag', jobEtag(job)).send(publicJob(job));
+  });
+});
+
+/* ─── POST /jobs/:id/release ─── */
+
+fastify.post('/jobs/:id/release', { preHandler: requireRole(['head', 'worker'], 'jobs:write') }, async (req, reply) => {
+  const who  = req.who;
+  const id   = req.params.id;
+  const body = req.body || {};
+
+  return withJobLock(id, async () => {
+    let job;
+    try { job = await readJob(id); } catch { return reply.code(404).send({ error: 'not_found' }); }
+    if (!ifMatchSatisfied(req.headers['if-match'], job)) return reply.code(412).send(versionMismatch(job));
+    if (!canAccessJob(who, job)) return reply.code(403).send({ error: 'forbidden' });
+    const lease = leaseProblem(who, job, presentedLeaseToken(req));
+    if (lease) return reply.code(lease.code).send(lease.body);
+    if (!isOwnerOrHead(who, job)) return reply.code(403).send({ error: 'not_owner' });
+    if (job.status !== 'running') return reply.code(409).send(notRunningBody(job));
+
+    const claimer = principalName(who);
+
+    // Release returns to queued without incrementing attempts (it wasn't a failure, just a release)
+    job.status     = 'queued';
+    job.claimedBy  = null;
+    job.leaseUntil = null;
+    job.leaseToken = null;
+    job.updatedAt  = nowIso();
+    if (body.reason) job.releaseReason = body.reason;
+
+    await writeJobAtomic(id, job);
+    await appendEvent(id, { t: nowIso(), type: 'job.released', by: claimer, reason: body.reason || null });
+    return reply.header('etag', jobEtag(job)).send(publicJob(job));
+  });
+});
+
+/* ─── POST /jobs/:id/priority (head only) ─── */
+
+fastify.post('/jobs/:id/priority', { preHandler: requireRole(['head'], 'jobs:write') }, async (req, reply) => {
+  const id   = req.params.id;
+  const body = req.body || {};
+  if (!Number.isInteger(body.priority)) return reply.code(400).send({ error: 'invalid_priority' });
+
+  return withJobLock(id, async () => {
+    let job;
+    try { job = await readJob(id); } catch { return reply.code(404).send({ error: 'not_found' }); }
+    if (!ifMatchSatisfied(req.headers['if-match'], job)) return reply.code(412).send(versionMismatch(job));
+    if (job.status !== 'queued') return reply.code(409).send({ error: 'not_queued', status: job.status });
+
+    const from = job.priority || 0;
+    job.priority  = body.priority;
+    job.updatedAt = nowIso();
+
+    await writeJobAtomic(id, job);
+    await appendEvent(id, { t: nowIso(), type: 'job.priority_changed', by: 'head', from, to: job.priority });
+    return reply.header('etag', jobEtag(job)).send(publicJob(job));
+  });
+});
+
+/* ─── POST /jobs/:id/cancel (head only) ───
+ * Withdraws a job that hasn't finished. A running job keeps its claimedBy
+ * so the claw learns about it from its next heartbeat (409 cancelled).
+ */
+
+const CANCELLABLE_STATUSES = ['queued', 'scheduled', 'blocked', 'running'];
+
+/** 409 body for owner actions on a job that is no longer running. */
+function notRunningBody(job) {
+  if (job.status === 'cancelled') return { error: 'cancelled', status: job.status, reason: job.cancelReason ?? null };
+  return { error: 'not_running', status: job.status };
+}
+
+/** Shared by /jobs/:id/cancel and the bulk endpoint; returns { code, body } like claimById. */
+async function cancelJobById(id, reason, { ifMatch } = {}) {
+  return withJobLock(id, async () => {
+    let job;
+    try { job = await readJob(id); } catch { return { code: 404, body: { error: 'not_found' } }; }
+    if (!ifMatchSatisfied(ifMatch, job)) return { code: 412, body: versionMismatch(job) };
+    if (!CANCELLABLE_STATUSES.includes(job.status)) return { code: 409, body: { error: 'not_cancellable', status: job.status } };
+
+    const from = job.status;
+    job.status       = 'cancelled';
+    job.cancelReason = reason || 'cancelled_by_head';
+    job.leaseUntil   = null;
+    job.updatedAt    = nowIso();
+
+    await writeJobAtomic(id, job);
+    await appendEvent(id, { t: nowIso(), type: 'job.cancelled', by: 'head', reason: job.cancelReason, from, claimedBy: job.claimedBy });
+    return { code: 200, body: job };
+  });
+}
+
+fastify.post('/jobs/:id/cancel', { preHandler: requireRole(['head'], 'jobs:write') }, async (req, reply) => {
+  const r = await cancelJobById(req.params.id, (req.body || {}).reason, { ifMatch: req.headers['if-match'] });
+  if (r.code === 200) reply.header('etag', jobEtag(r.body));
+  return reply.code(r.code).send(r.code === 200 ? publicJob(r.body) : r.body);
+});
+
+/* ─── POST /jobs/:id/retry (head only) ───
+ * Puts a failed / dead job back in the queue with a fresh attempt budget.
+ * Children already cancelled because of it stay cancelled.
+ */
+
+async function retryJobById(id, { ifMatch } = {}) {
+  return withJobLock(id, async () => {
+    let job;
+    try { job = await readJob(id); } catch { return { code: 404, body: { error: 'not_found' } }; }
+    if (!ifMatchSatisfied(ifMatch, job)) return { code: 412, body: versionMismatch(job) };
+    if (job.status !== 'failed' && job.status !== 'dead') return { code: 409, body: { error: 'not_retryable', status: job.status } };
+
+    const from     = job.status;
+    const attempts = job.attempts;
+    job.status     = readyStatus(job);
+    job.attempts   = 0;
+    job.claimedBy  = null;
+    job.leaseUntil = null;
+    job.leaseToken = null;
+    job.notBefore  = null;
+    job.error      = null;
+    job.updatedAt  = nowIso();
+
+    await writeJobAtomic(id, job);
+    await appendEvent(id, { t: nowIso(), type: 'job.retried', by: 'head', from, status: job.status, previousAttempts: attempts });
+    return { code: 200, body: job };
+  });
+}
+
+fastify.post('/jobs/:id/retry', { preHandler: requireRole(['head'], 'jobs:write') }, async (req, reply) => {
+  const r = await retryJobById(req.params.id, { ifMatch: req.headers['if-match'] });
+  if (r.code === 200) reply.header('etag', jobEtag(r.body));
+  return reply.code(r.code).send(r.code === 200 ? publicJob(r.body) : r.body);
+});
+
+/* ─── PATCH /jobs/:id (head only, queued jobs) ─── */
+
+const EDITABLE_JOB_FIELDS = ['spec', 'meta', 'target', 'maxAttempts'];
+
+fastify.patch('/jobs/:id', { preHandler: requireRole(['head'], 'jobs:write') }, async (req, reply) => {
+  const id   = req.params.id;
+  const body = req.body || {};
+
+  return withJobLock(id, async () => {
+    if (body.meta !== undefined && (!body.meta || typeof body.meta !== 'object' || Array.isArray(body.meta))) {
+      return reply.code(400).send({ error: 'invalid_meta' });
+    }
+    if (body.target !== undefined && (typeof body.target !== 'string' || !body.target)) {
+      return reply.code(400).send({ error: 'invalid_target' });
+    }
+    if (body.maxAttempts !== undefined && !(Number.isInteger(body.maxAttempts) && body.maxAttempts >= 1)) {
+      return reply.code(400).send({ error: 'invalid_max_attempts' });
+    }
+    const fields = EDITABLE_JOB_FIELDS.filter(f => body[f] !== undefined);
+    if (!fields.length) return reply.code(400).send({ error: 'no_changes', editable: EDITABLE_JOB_FIELDS });
+
+    let job;
+    try { job = await readJob(id); } catch { return reply.code(404).send({ error: 'not_found' }); }
+    if (!ifMatchSatisfied(req.headers['if-match'], job)) return reply.code(412).send(versionMismatch(job));
+    if (job.status !== 'queued') return reply.code(409).send({ error: 'not_queued', status: job.status });
+
+    const changes = {};
+    for (const f of fields) {
+      changes[f] = f === 'spec' ? { from: summarize(job.spec), to: summarize(body.spec) } : { from: job[f], to: body[f] };
+      job[f] = body[f];
+    }
+    job.updatedAt = nowIso();
+
+    await writeJobAtomic(id, job);
+    await appendEvent(id, { t: nowIso(), type: 'job.updated', by: 'head', fields, changes });
+    return reply.header('etag', jobEtag(job)).send(publicJob(job));
+  });
+});
+
+/* ─── bulk operations (head only) ───
+ * POST /jobs:batch creates many jobs; each entry is validated and inserted
+ * on its own, so one bad entry doesn't stop the rest (use /workflows for
+ * all-or-nothing). POST /jobs:{cancel,retry,requeue,delete} select jobs by
+ * `ids` or by `filter` (the GET /jobs query keys) and apply the action to
+ * each. Both report a per-job outcome.
+ */
+
+const BATCH_MAX_JOBS = 1000;
+
+/** Running / cancelled job back to queued; attempts are left as they are. */
+async function requeueJobById(id, reason) {
+  return withJobLock(id, async () => {
+    let job;
+    try { job = await readJob(id); } catch { return { code: 404, body: { error: 'not_found' } }; }
+    if (job.status !== 'running' && job.status !== 'cancelled') return { code: 409, body: { error: 'not_requeueable', status: job.status } };
+
+    const from = job.status;
+    job.status       = 'queued';
+    job.claimedBy    = null;
+    job.leaseUntil   = null;
+    job.leaseToken   = null;
+    job.notBefore    = null;
+    job.cancelReason = null;
+    job.updatedAt    = nowIso();
+
+    await writeJobAtomic(id, job);
+    await appendEvent(id, { t: nowIso(), type: 'job.requeued', by: 'head', from, reason: reason || null });
+    return { code: 200, body: job };
+  });
+}
+
+/** Removes a finished job and its event log; jobs an unfinished job still depends on are kept. */
+async function deleteJobById(id) {
+  return withJobLock(id, async () => {
+    let job;
+    try { job = await readJob(id); } catch { return { code: 404, body: { error: 'not_found' } }; }
+    if (!isTerminalStatus(job.status)) return { code: 409, body: { error: 'not_finished', status: job.status } };
+    const dependent = [...jobsById.values()].find(j => !isTerminalStatus(j.status) && (
+      j.dependsOn?.includes(id) || Object.values(j.inputs || {}).some(ref => ref.fromJob === id)));
+    if (dependent) return { code: 409, body: { error: 'has_dependents', dependent: dependent.id } };
+
+    await deleteJobFile(id);
+    await fs.rm(path.join(EVENTS_DIR, `${id}.jsonl`), { force: true });
+    await appendEvent(id, { t: nowIso(), type: 'job.deleted', by: 'head', status: job.status, target: job.target }, { jobLog: false });
+    return { code: 200, body: { id, deleted: true, status: job.status } };
+  });
+}
+
+const BULK_ACTIONS = {
+  cancel:  (id, body) => cancelJobById(id, body.reason),
+  retry:   (id)       => retryJobById(id),
+  requeue: (id, body) => requeueJobById(id, body.reason),
+  delete:  (id)       => deleteJobById(id),
+};
+
+const BULK_FILTER_KEYS = ['status', 'target', 'claimedBy', 'q', ...Object.keys(JOB_TIME_FILTERS)];
+
+/** True when the filter has at least one key that narrows the selection. */
+function hasBulkFilterKey(filter) {
+  return Object.entries(filter).some(([k, v]) => v != null && v !== '' && (BULK_FILTER_KEYS.includes(k) || (k.startsWith('meta.') && k.length > 5)));
+}
+
+/** Job ids picked by `ids` or `filter`; { error } when neither (or both) is usable. */
+function selectBulkJobs(body) {
+  if ((body.ids === undefined) === (body.filter === undefined)) return { error: 'missing_selector' };
+  if (body.ids !== undefined) {
+    if (!Array.isArray(body.ids) || !body.ids.length || !body.ids.every(id => typeof id === 'string' && id)) return { error: 'invalid_ids' };
+    if (body.ids.length > BATCH_MAX_JOBS) return { error: 'too_many_jobs', max: BATCH_MAX_JOBS };
+    return { ids: [...new Set(body.ids)] };
+  }
+  if (!body.filter || typeof body.filter !== 'object' || Array.isArray(body.filter)) return { error: 'invalid_filter' };
+  if (!hasBulkFilterKey(body.filter)) return { error: 'empty_filter' };
+  const filters = parseJobFilters(body.filter);
+  if (filters.error) return { error: filters.error };
+  const jobs = findJobs({ target: body.filter.target }).filter(filters.match);
+  if (jobs.length > BATCH_MAX_JOBS) return { error: 'too_many_jobs', max: BATCH_MAX_JOBS, matched: jobs.length };
+  jobs.sort((a, b) => compareBySort(a, b, { field: 'createdAt', desc: false }));
+  return { ids: jobs.map(j => j.id) };
+}
+
+fastify.post('/jobs::batch', { preHandler: requireRole(['head'], 'jobs:create') }, async (req, reply) => {
+  const entries = (req.body || {}).jobs;
+  if (!Array.isArray(entries) || !entries.length) return reply.code(400).send({ error: 'missing_jobs' });
+  if (entries.length > BATCH_MAX_JOBS) return reply.code(400).send({ error: 'too_many_jobs', max: BATCH_MAX_JOBS });
+
+  const results = [];
+  for (const [index, entry] of entries.entries()) {
+    let r;
+    try {
+      r = await createJobOnce(entry && typeof entry === 'object' ? entry : {});
+    } catch (err) {
+      // One entry failing unexpectedly must not hide the outcome of the others
+      fastify.log.warn({ index, err: err.message }, 'batch: entry failed');
+      results.push({ index, ok: false, error: 'internal_error' });
+      continue;
+    }
+    if (r.code >= 400) {
+      const { error, id } = r.body;
+      const detail = error === 'unknown_dependency' ? { dependency: id } : error === 'duplicate_active' ? { existing: id } : {};
+      results.push({ index, ok: false, error, ...detail });
+      continue;
+    }
+    results.push({ index, ok: true, id: r.body.id, status: r.body.status, ...(r.replayed ? { replayed: true } : {}) });
+  }
+  const ok       = results.filter(r => r.ok).length;
+  const replayed = results.filter(r => r.replayed).length;
+  return { created: ok - replayed, replayed, failed: results.length - ok, results };
+});
+
+for (const [action, apply] of Object.entries(BULK_ACTIONS)) {
+  fastify.post(`/jobs::${action}`, { preHandler: requireRole(['head'], 'jobs:write') }, async (req, reply) => {
+    const body = req.body || {};
+    const selection = selectBulkJobs(body);
+    if (selection.error) return reply.code(400).send(selection);
+
+    const results = [];
+    for (const id of selection.ids) {
+      const r = await apply(id, body);
+      results.push(r.code === 200 ? { id, ok: true, status: r.body.status } : { id, ok: false, ...r.body });
+    }
+    const succeeded = results.filter(r => r.ok).length;
+    return { action, matched: results.length, succeeded, failed: results.length - succeeded, results };
+  });
+}
+
+/* ─── POST /jobs/:id/comment ─── */
+
+fastify.post('/jobs/:id/comment', { preHandler: requireRole(['head', 'worker'], 'jobs:write') }, async (req, reply) => {
+  const who  = req.who;
+  const id   = req.params.id;
+  const body = req.body || {};
+
+  return withJobLock(id, async () => {
+    let job;
+    try { job = await readJob(id); } catch { return reply.code(404).send({ error: 'not_found' }); }
+    if (!ifMatchSatisfied(req.headers['if-match'], job)) return reply.code(412).send(versionMismatch(job));
+    if (!canAccessJob(who, job)) return reply.code(403).send({ error: 'forbidden' });
+
+    const by = principalName(who);
+    const comment = { t: nowIso(), by, text: body.text || '' };
+    job.comments = Array.isArray(job.comments) ? job.comments : [];
+    job.comments.push(comment);
+    job.updatedAt = nowIso();
+
+    await writeJobAtomic(id, job);
+    await appendEvent(id, { t: nowIso(), type: 'job.comment', by, text: comment.text });
+    return reply.header('etag', jobEtag(job)).send(publicJob(job));
+  });
+});
+
+/* ─── GET /events/stream (SSE) ───
+ * Replays events after Last-Event-ID (or ?since=), then pushes live events.
+ * Without either, the stream starts at the current sequence (live only).
+ * Claws only receive events for jobs canAccessJob allows. Optional
+ * ?types=job.completed,job.failed narrows the stream.
+ */
+
+fastify.get('/events/stream', { preHandler: requireRole(['head', 'worker'], 'jobs:read') }, async (req, reply) => {
+  const who   = req.who;
+  const q     = req.query || {};
+  const resume = req.headers['last-event-id'] ?? q.since;
+  const since  = resume !== undefined ? (parseInt(resume, 10) || 0) : lastSeq;
+  const types = q.types ? new Set(String(q.types).split(',').map(t => t.trim()).filter(Boolean)) : null;
+
+  async function visible(ev) {
+    if (types && !types.has(ev.type)) return false;
+    if (who.role === 'head') return true;
+    try { return canAccessJob(who, await readJob(ev.jobId)); } catch { return false; }
+  }
+
+  reply.hijack();
+  const res = reply.raw;
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': req.headers.origin || '*',
+  });
+  res.write(': connected\n\n');
+
+  let sentSeq = since;
+  let closed  = false;
+  // Serialise writes so replay and live events stay in seq order
+  let chain = Promise.resolve();
+  const send = (ev) => {
+    chain = chain.then(async () => {
+      if (closed || ev.seq <= sentSeq) return;
+      if (!(await visible(ev))) return;
+      sentSeq = ev.seq;
+      res.write(`id: ${ev.seq}\nevent: ${ev.type}\ndata: ${JSON.stringify(ev)}\n\n`);
+    }).catch(err => fastify.log.warn({ err: err.message }, 'sse: send error'));
+  };
+
+  // Subscribe before replaying so nothing falls in the gap
+  const buffered = [];
+  let live = false;
+  const onEvent = (ev) => { if (live) send(ev); else buffered.push(ev); };
+  jobBus.on('event', onEvent);
+
+  const ping = setInterval(() => { if (!closed) res.write(': ping\n\n'); }, SSE_PING_MS);
+  res.on('close', () => {
+    closed = true;
+    clearInterval(ping);
+    jobBus.off('event', onEvent);
+  });
+
+  for (const ev of await readStreamSince(since)) send(ev);
+  live = true;
+  for (const ev of buffered) send(ev);
+});
+
+/* ─── blobs ───
+ * Content is stored once per sha256 under blobs/sha256/<digest>; each upload
+ * gets its own id and metadata record, blobs/<id>.meta.json (filename,
+ * contentType, size, sha256, uploader), pointing at that content. Uploads
+ * are streamed to blobs/tmp while hashed, capped at BLOB_MAX_BYTES, and
+ * counted against the uploading token's quota (logical bytes, so a duplicate
+ * still counts). The final quota check and the charge happen together under
+ * a per-owner lock, so concurrent uploads cannot overrun it; blobs/tmp is
+ * emptied at startup of anything a crash or aborted upload left. Access follows jobs: the head sees every blob, a worker sees
+ * blobs it uploaded and blobs referenced (as an input or a completion
+ * attachment) by a job it can access.
+ */
+
+const BLOB_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+const SHA256_RE  = /^[0-9a-f]{64}$/;
+
+const blobUsage = new Map();  // quota owner → bytes
+const withQuotaOwner = createKeyedMutex();
+
+function blobMetaPath(id) { return path.join(BLOBS_DIR, `${id}.meta.json`); }
+function blobContentPath(sha256) { return path.join(BLOB_CONTENT_DIR, sha256); }
+
+/** Content location; blobs uploaded before content addressing live at blobs/<id>. */
+async function blobDataPath(meta) {
+  const cas = blobContentPath(meta.sha256);
+  try { await fs.access(cas); return cas; } catch { return path.join(BLOBS_DIR, meta.id); }
+}
+
+async function readBlobMeta(id) {
+  if (!BLOB_ID_RE.test(id)) throw new Error('invalid_blob_id');
+  return JSON.parse(await fs.readFile(blobMetaPath(id), 'utf8'));
+}
+
+function inputBlobIds(job) {
+  return Object.values(job.inputs || {}).filter(ref => ref.blob).map(ref => ref.blob);
+}
+
+function jobBlobIds(job) {
+  return [...inputBlobIds(job), ...(job.attachments || [])];
+}
+
+function canAccessBlob(who, meta) {
+  if (who.role === 'head') return true;
+  if (meta.createdBy === who.worker) return true;
+  return [...(idsByBlob.get(meta.id) || [])].some(id => canAccessJob(who, jobsById.get(id)));
+}
+
+/** Quota bucket: the store token when there is one, otherwise the principal name. */
+function quotaOwner(who) {
+  return who.tokenId ? `token:${who.tokenId}` : principalName(who);
+}
+
+function quotaFor(who) {
+  const t = who.tokenId ? tokens.get(who.tokenId) : null;
+  return t?.quotaBytes ?? BLOB_QUOTA_BYTES;
+}
+
+/** Bytes still allowed for this principal (Infinity when unlimited). */
+function quotaRemaining(who) {
+  const quota = quotaFor(who);
+  return quota > 0 ? Math.max(0, quota - (blobUsage.get(quotaOwner(who)) || 0)) : Infinity;
+}
+
+async function loadBlobUsage() {
+  for (const f of await fs.readdir(BLOBS_DIR)) {
+    if (!f.endsWith('.meta.json')) continue;
+    try {
+      const meta = JSON.parse(await fs.readFile(path.join(BLOBS_DIR, f), 'utf8'));
+      const owner = meta.owner ?? meta.createdBy;
+      blobUsage.set(owner, (blobUsage.get(owner) || 0) + meta.size);
+    } catch {}
+  }
+}
+
+class BlobTooLargeError extends Error {}
+
+/** Transform that hashes and counts bytes, failing once more than `maxBytes` pass through. */
+function meter(maxBytes, hash = crypto.createHash('sha256')) {
+  const t = new Transform({
+    transform(chunk, _enc, cb) {
+      t.bytes += chunk.length;
+      if (t.bytes > maxBytes) return cb(new BlobTooLargeError('blob_too_large'));
+      hash.update(chunk);
+      cb(null, chunk);
+    },
+  });
+  t.bytes = 0;
+  t.hash  = hash;
+  return t;
+}
+
+/** Streams `source` to a temp file; returns { tmp, size, sha256 }. */
+async function streamToTemp(source, maxBytes) {
+  const tmp = path.join(BLOB_TMP_DIR, nanoid());
+  const m   = meter(maxBytes);
+  try {
+    await pipeline(source, m, createWriteStream(tmp));
+  } catch (err) {
+    await fs.rm(tmp, { force: true });
+    throw err;
+  }
+  return { tmp, size: m.bytes, sha256: m.hash.digest('hex') };
+}
+
+async function hashFile(p) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of createReadStream(p)) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+/**
+ * Moves verified content into the content store (dropping it when the digest
+ * already exists), writes the metadata record and charges the quota.
+ */
+async function commitBlob(tmp, { size, sha256, filename, contentType }, who) {
+  const target = blobContentPath(sha256);
+  let deduplicated = false;
+  try {
+    await fs.access(target);
+    deduplicated = true;
+    await fs.rm(tmp, { force: true });
+  } catch {
+    await fs.rename(tmp, target);
+  }
+
+  const meta = {
+    id: nanoid(),
+    filename: filename || null,
+    contentType: contentType || 'application/octet-stream',
+    size,
+    sha256,
+    createdAt: nowIso(),
+    createdBy: principalName(who),
+    owner: quotaOwner(who),
+  };
+  await writeJsonAtomic(blobMetaPath(meta.id), meta);
+  blobUsage.set(meta.owner, (blobUsage.get(meta.owner) || 0) + size);
+  return { ...meta, deduplicated };
+}
+
+/** commitBlob with the quota checked and charged atomically per owner; null when `size` no longer fits. */
+async function commitBlobWithinQuota(tmp, info, who) {
+  return withQuotaOwner(quotaOwner(who), async () => {
+    if (info.size > quotaRemaining(who)) return null;
+    return commitBlob(tmp, info, who);
+  });
+}
+
+/** Startup: removes partial files left in blobs/tmp (nothing is in flight yet). */
+async function sweepBlobTmp() {
+  for (const f of await fs.readdir(BLOB_TMP_DIR)) await fs.rm(path.join(BLOB_TMP_DIR, f), { force: true });
+}
+
+/** Parses a single `bytes=` range against `size`; null = whole body, false = unsatisfiable. */
+function parseRange(header, size) {
+  if (!header) return null;
+  const m = String(header).match(/^bytes=(\d*)-(\d*)$/);
+  if (!m || (m[1] === '' && m[2] === '')) return null;  // multi-range / malformed: serve the whole blob
+  let start;
+  let end;
+  if (m[1] === '') {
+    start = Math.max(0, size - parseInt(m[2], 10));
+    end   = size - 1;
+  } else {
+    start = parseInt(m[1], 10);
+    end   = m[2] === '' ? size - 1 : Math.min(parseInt(m[2], 10), size - 1);
+  }
+  if (start >= size || start > end) return false;
+  return { start, end };
+}
+
+/* ─── POST /blobs (multipart, streamed) ─── */
+
+fastify.post('/blobs', { preHandler: requireRole(['head', 'worker'], 'blobs:write') }, async (req, reply) => {
+  const part = await req.file();
+  if (!part) return reply.code(400).send({ error: 'missing_file' });
+
+  const remaining = quotaRemaining(req.who);
+  let stored;
+  try {
+    stored = await streamToTemp(part.file, Math.min(BLOB_MAX_BYTES, remaining));
+  } catch (err) {
+    if (!(err instanceof BlobTooLargeError) && err.code !== 'FST_REQ_FILE_TOO_LARGE') throw err;
+    part.file.resume();
+    if (remaining < BLOB_MAX_BYTES) return reply.code(413).send({ error: 'quota_exceeded', remaining });
+    return reply.code(413).send({ error: 'blob_too_large', maxBytes: BLOB_MAX_BYTES });
+  }
+  if (part.file.truncated) {
+    await fs.rm(stored.tmp, { force: true });
+    return reply.code(413).send({ error: 'blob_too_large', maxBytes: BLOB_MAX_BYTES });
+  }
+
+  const meta = await commitBlobWithinQuota(stored.tmp, { ...stored, filename: part.filename, contentType: part.mimetype }, req.who);
+  if (!meta) {
+    await fs.rm(stored.tmp, { force: true });
+    return reply.code(413).send({ error: 'quota_exceeded', remaining: quotaRemaining(req.who) });
+  }
+  return reply.code(201).send(meta);
+});
+
+/* ─── chunked / resumable uploads ───
+ * POST /blobs/uploads opens a session (optionally declaring size and sha256);
+ * PUT /blobs/uploads/:id appends an application/octet-stream chunk at
+ * `Upload-Offset`; GET reports the committed offset so an interrupted client
+ * can resume; POST …/complete verifies and stores the blob. The offset is the
+ * size of the partial file, so a chunk cut off mid-transfer keeps what arrived.
+ * Sessions expire after BLOB_UPLOAD_TTL_SECONDS of inactivity (reaper).
+ */
+
+const UPLOAD_ID_RE  = BLOB_ID_RE;
+const uploadsBusy   = new Set();  // upload ids with a chunk or completion in progress
+
+function uploadSessionPath(id) { return path.join(BLOB_UPLOADS_DIR, `${id}.json`); }
+function uploadPartPath(id) { return path.join(BLOB_UPLOADS_DIR, `${id}.part`); }
+
+async function readUpload(id) {
+  if (!UPLOAD_ID_RE.test(id)) throw new Error('invalid_upload_id');
+  return JSON.parse(await fs.readFile(uploadSessionPath(id), 'utf8'));
+}
+
+async function uploadOffset(id) {
+  try { return (await fs.stat(uploadPartPath(id))).size; } catch { return 0; }
+}
+
+async function uploadView(u) {
+  return { ...u, offset: await uploadOffset(u.id) };
+}
+
+async function removeUpload(id) {
+  await fs.rm(uploadPartPath(id), { force: true });
+  await fs.rm(uploadSessionPath(id), { force: true });
+}
+
+/** Loads an upload the caller owns, or sends the error and returns null. */
+async function ownedUpload(req, reply) {
+  let u;
+  try { u = await readUpload(req.params.id); } catch { reply.code(404).send({ error: 'not_found' }); return null; }
+  if (req.who.role !== 'head' && u.owner !== quotaOwner(req.who)) { reply.code(403).send({ error: 'forbidden' }); return null; }
+  return u;
+}
+
+fastify.post('/blobs/uploads', { preHandler: requireRole(['head', 'worker'], 'blobs:write') }, async (req, reply) => {
+  const body = req.body || {};
+  if (body.size !== undefined && !(Number.isInteger(body.size) && body.size >= 0)) return reply.code(400).send({ error: 'invalid_size' });
+  if (body.sha256 !== undefined && !(typeof body.sha256 === 'string' && SHA256_RE.test(body.sha256))) {
+    return reply.code(400).send({ error: 'invalid_sha256' });
+  }
+  if (body.size > BLOB_MAX_BYTES) return reply.code(413).send({ error: 'blob_too_large', maxBytes: BLOB_MAX_BYTES });
+  if (body.size > quotaRemaining(req.who)) return reply.code(413).send({ error: 'quota_exceeded', remaining: quotaRemaining(req.who) });
+
+  const u = {
+    id: nanoid(),
+    filename: typeof body.filename === 'string' ? body.filename : null,
+    contentType: typeof body.contentType === 'string' ? body.contentType : 'application/octet-stream',
+    size: body.size ?? null,
+    sha256: body.sha256 ?? null,
+    owner: quotaOwner(req.who),
+    createdBy: principalName(req.who),
+    createdAt: nowIso(),
+    updatedAt: nowIso(),
+  };
+  await writeJsonAtomic(uploadSessionPath(u.id), u);
+  await fs.writeFile(uploadPartPath(u.id), '');
+  return reply.code(201).send(await uploadView(u));
+});
+
+fastify.get('/blobs/uploads/:id', { preHandler: requireRole(['head', 'worker'], 'blobs:write') }, async (req, reply) => {
+  const u = await ownedUpload(req, reply);
+  if (!u) return reply;
+  return uploadView(u);
+});
+
+fastify.put('/blobs/uploads/:id', { preHandler: requireRole(['head', 'worker'], 'blobs:write') }, async (req, reply) => {
+  const u = await ownedUpload(req, reply);
+  if (!u) return reply;
+  if (!req.body || typeof req.body.pipe !== 'function') return reply.code(415).send({ error: 'expected_octet_stream' });
+  if (uploadsBusy.has(u.id)) return reply.code(409).send({ error: 'upload_busy' });
+
+  uploadsBusy.add(u.id);
+  try {
+    const offset = await uploadOffset(u.id);
+    const claimed = parseInt(req.headers['upload-offset'] ?? req.query.offset ?? '', 10);
+    if (claimed !== offset) {
+      req.body.resume();
+      return reply.code(409).send({ error: 'offset_mismatch', offset });
+    }
+
+    const limit = Math.min(u.size ?? BLOB_MAX_BYTES, BLOB_MAX_BYTES) - offset;
+    try {
+      await pipeline(req.body, meter(limit), createWriteStream(uploadPartPath(u.id), { flags: 'a' }));
+    } catch (err) {
+      if (!(err instanceof BlobTooLargeError)) throw err;
+      req.body.resume();
+      return reply.code(413).send({ error: 'blob_too_large', offset: await uploadOffset(u.id) });
+    }
+    u.updatedAt = nowIso();
+    await writeJsonAtomic(uploadSessionPath(u.id), u);
+    return uploadView(u);
+  } finally {
+    uploadsBusy.delete(u.id);
+  }
+});
+
+fastify.post('/blobs/uploads/:id/complete', { preHandler: requireRole(['head', 'worker'], 'blobs:write') }, async (req, reply) => {
+  const u = await ownedUpload(req, reply);
+  if (!u) return reply;
+  if (uploadsBusy.has(u.id)) return reply.code(409).send({ error: 'upload_busy' });
+
+  uploadsBusy.add(u.id);
+  try {
+    const size = await uploadOffset(u.id);
+    if (u.size !== null && size !== u.size) return reply.code(409).send({ error: 'incomplete_upload', offset: size, size: u.size });
+    if (size > quotaRemaining(req.who)) return reply.code(413).send({ error: 'quota_exceeded', remaining: quotaRemaining(req.who) });
+    const sha256 = await hashFile(uploadPartPath(u.id));
+    if (u.sha256 && sha256 !== u.sha256) return reply.code(400).send({ error: 'digest_mismatch', sha256 });
+
+    const meta = await commitBlobWithinQuota(uploadPartPath(u.id), { size, sha256, filename: u.filename, contentType: u.contentType }, req.who);
+    if (!meta) return reply.code(413).send({ error: 'quota_exceeded', remaining: quotaRemaining(req.who) });
+    await removeUpload(u.id);
+    return reply.code(201).send(meta);
+  } finally {
+    uploadsBusy.delete(u.id);
+  }
+});
+
+fastify.delete('/blobs/uploads/:id', { preHandler: requireRole(['head', 'worker'], 'blobs:write') }, async (req, reply) => {
+  const u = await ownedUpload(req, reply);
+  if (!u) return reply;
+  if (uploadsBusy.has(u.id)) return reply.code(409).send({ error: 'upload_busy' });
+  await removeUpload(u.id);
+  return { ok: true };
+});
+
+/** Reaper pass: drops upload sessions idle for longer than BLOB_UPLOAD_TTL_SECONDS. */
+async function expireUploads() {
+  const cutoff = Date.now() - BLOB_UPLOAD_TTL_SECONDS * 1000;
+  for (const f of await fs.readdir(BLOB_UPLOADS_DIR)) {
+    if (!f.endsWith('.json')) continue;
+    const id = f.replace('.json', '');
+    try {
+      const u = await readUpload(id);
+      if (uploadsBusy.has(id) || new Date(u.updatedAt).getTime() > cutoff) continue;
+      await removeUpload(id);
+      fastify.log.info({ uploadId: id }, 'reaper: expired blob upload removed');
+    } catch (err) {
+      fastify.log.warn({ uploadId: id, err: err.message }, 'reaper: error expiring upload');
+    }
+  }
+}
+
+/* ─── GET /blobs/:id/meta ─── */
+
+fastify.get('/blobs/:id/meta', { preHandler: requireRole(['head', 'worker'], 'blobs:read') }, async (req, reply) => {
+  let meta;
+  try { meta = await readBlobMeta(req.params.id); } catch { return reply.code(404).send({ error: 'not_found' }); }
+  if (!canAccessBlob(req.who, meta)) return reply.code(403).send({ error: 'forbidden' });
+  return meta;
+});
+
+/* ─── GET|HEAD /blobs/:id (streamed, single-range support) ─── */
+
+fastify.get('/blobs/:id', { preHandler: requireRole(['head', 'worker'], 'blobs:read') }, async (req, reply) => {
+  let meta;
+  try { meta = await readBlobMeta(req.params.id); } catch { return reply.code(404).send({ error: 'not_found' }); }
+  if (!canAccessBlob(req.who, meta)) return reply.code(403).send({ error: 'forbidden' });
+
+  const range = parseRange(req.headers.range, meta.size);
+  if (range === false) {
+    reply.header('content-range', `bytes */${meta.size}`);
+    return reply.code(416).send({ error: 'range_not_satisfiable' });
+  }
+
+  reply.header('content-type', meta.contentType);
+  reply.header('accept-ranges', 'bytes');
+  reply.header('etag', `"${meta.sha256}"`);
+  reply.header('x-content-sha256', meta.sha256);
+  if (meta.filename) reply.header('content-disposition', `attachment; filename*=UTF-8''${encodeURIComponent(meta.filename)}`);
+  if (range) {
+    reply.header('content-range', `bytes ${range.start}-${range.end}/${meta.size}`);
+    reply.header('content-length', range.end - range.start + 1);
+    return reply.code(206).send(createReadStream(await blobDataPath(meta), range));
+  }
+  reply.header('content-length', meta.size);
+  return reply.send(createReadStream(await blobDataPath(meta)));
+});
+
+/* ─── /workers (head only) ───
+ * Runtime registration returns the worker's token exactly once; only its
+ * hash is stored. Env / config seeded workers are read-only here.
+ */
+
+function parsePools(raw) {
+  if (raw === undefined) return [];
+  if (!Array.isArray(raw) || !raw.every(isValidName)) return undefined;
+  return [...new Set(raw)];
+}
+
+fastify.post('/workers', { preHandler: requireRole(['head'], 'workers:write') }, async (req, reply) => {
+  const body  = req.body || {};
+  if (!isValidName(body.name)) return reply.code(400).send({ error: 'invalid_name' });
+  const pools = parsePools(body.pools);
+  if (pools === undefined) return reply.code(400).send({ error: 'invalid_pools' });
+  const labels = parseLabels(body.labels);
+  if (labels === undefined) return reply.code(400).send({ error: 'invalid_labels' });
+  if (workers.has(body.name)) return reply.code(409).send({ error: 'worker_exists' });
+
+  const worker = {
+    name: body.name,
+    pools,
+    labels,
+    source: 'api',
+    tokenHashes: [],
+    createdAt: nowIso(),
+    updatedAt: nowIso(),
+  };
+  await writeWorker(worker);
+  workers.set(worker.name, worker);
+  const { record, secret } = await mintToken({ name: `worker ${worker.name}`, role: 'worker', worker: worker.name, createdBy: principalName(req.who) });
+  return reply.code(201).send({ worker: publicWorker(worker), token: secret, tokenId: record.id });
+});
+
+fastify.get('/workers', { preHandler: requireRole(['head'], 'workers:read') }, async (req) => {
+  const runningJobs = new Map();
+  for (const job of jobsWithStatus('running')) {
+    if (!job.claimedBy) continue;
+    if (!runningJobs.has(job.claimedBy)) runningJobs.set(job.claimedBy, []);
+    runningJobs.get(job.claimedBy).push(job.id);
+  }
+
+  const now = Date.now();
+  let list = [...workers.values()].map(w => fleetWorker(w, runningJobs, now));
+  if (req.query.state) list = list.filter(w => w.state === req.query.state);
+  list.sort((a, b) => (a.name < b.name ? -1 : 1));
+  return { workers: list, offlineAfterSeconds: WORKER_OFFLINE_SECONDS };
+});
+
+/* ─── POST /workers/heartbeat (presence) ─── */
+
+fastify.post('/workers/heartbeat', { preHandler: requireRole(['worker'], 'workers:heartbeat') }, async (req, reply) => {
+  const body = req.body || {};
+  const optString = (v, max) => v === undefined || v === null || (typeof v === 'string' && v.length <= max);
+  if (!optString(body.hostname, 255) || !optString(body.version, 64) || !optString(body.currentJob, 64)) {
+    return reply.code(400).send({ error: 'invalid_presence' });
+  }
+  if (body.load !== undefined && body.load !== null && !(typeof body.load === 'number' && body.load >= 0)) {
+    return reply.code(400).send({ error: 'invalid_load' });
+  }
+
+  const p = getPresence(req.who.worker);
+  p.reportedAt = nowIso();
+  p.hostname   = body.hostname ?? null;
+  p.version    = body.version ?? null;
+  p.load       = body.load ?? null;
+  p.currentJob = body.currentJob ?? null;
+  await writePresence(req.who.worker);
+
+  return { ok: true, state: presenceState(p), offlineAfterSeconds: WORKER_OFFLINE_SECONDS };
+});
+
+fastify.patch('/workers/:name', { preHandler: requireRole(['head'], 'workers:write') }, async (req, reply) => {
+  const worker = workers.get(req.params.name);
+  if (!worker) return reply.code(404).send({ error: 'not_found' });
+  if (worker.source !== 'api') return reply.code(409).send({ error: 'seeded_worker', source: worker.source });
+  const body = req.body || {};
+  if (body.pools !== undefined) {
+    const pools = parsePools(body.pools);
+    if (pools === undefined) return reply.code(400).send({ error: 'invalid_pools' });
+    worker.pools = pools;
+  }
+  if (body.labels !== undefined) {
+    const labels = parseLabels(body.labels);
+    if (labels === undefined) return reply.code(400).send({ error: 'invalid_labels' });
+    worker.labels = labels;
+  }
+  worker.updatedAt = nowIso();
+  await writeWorker(worker);
+  return { worker: publicWorker(worker) };
+});
+
+fastify.delete('/workers/:name', { preHandler: requireRole(['head'], 'workers:write') }, async (req, reply) => {
+  const worker = workers.get(req.params.name);
+  if (!worker) return reply.code(404).send({ error: 'not_found' });
+  if (worker.source !== 'api') return reply.code(409).send({ error: 'seeded_worker', source: worker.source });
+
+  await fs.unlink(path.join(WORKERS_DIR, `${worker.name}.json`));
+  await fs.rm(path.join(PRESENCE_DIR, `${worker.name}.json`), { force: true });
+  workers.delete(worker.name);
+  presence.delete(worker.name);
+  advertisedLabels.delete(worker.name);
+  await revokeWorkerTokens(worker.name);
+  indexTokens();
+  return { ok: true };
+});
+
+/* ─── tokens (head) ─── */
+
+fastify.post('/tokens', { preHandler: requireRole(['head'], 'tokens:admin') }, async (req, reply) => {
+  const body = req.body || {};
+  if (!['head', 'worker'].includes(body.role)) return reply.code(400).send({ error: 'invalid_role' });
+  if (body.role === 'worker' && !workers.has(body.worker)) return reply.code(400).send({ error: 'unknown_worker' });
+  if (body.role === 'head' && body.worker) return reply.code(400).send({ error: 'invalid_worker' });
+  const scopes = parseScopes(body.scopes);
+  if (scopes === undefined) return reply.code(400).send({ error: 'invalid_scopes', allowed: SCOPES });
+  const expiresAt = parseExpiry(body);
+  if (expiresAt === undefined) return reply.code(400).send({ error: 'invalid_expiry' });
+  if (body.name !== undefined && typeof body.name !== 'string') return reply.code(400).send({ error: 'invalid_name' });
+  const quotaBytes = parseQuota(body.quotaBytes);
+  if (quotaBytes === undefined) return reply.code(400).send({ error: 'invalid_quota' });
+
+  const { record, secret } = await mintToken({
+    name: body.name ?? null,
+    role: body.role,
+    worker: body.role === 'worker' ? body.worker : null,
+    scopes,
+    expiresAt,
+    quotaBytes,
+    createdBy: req.who.tokenId ? `token:${req.who.tokenId}` : 'head',
+  });
+  return reply.code(201).send({ token: publicToken(record), secret });
+});
+
+fastify.get('/tokens', { preHandler: requireRole(['head'], 'tokens:admin') }, async (req) => {
+  const now = Date.now();
+  let list = [...tokens.values()].map(t => publicToken(t, now));
+  if (req.query.worker) list = list.filter(t => t.worker === req.query.worker);
+  if (req.query.status) list = list.filter(t => t.status === req.query.status);
+  list.sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+  return { tokens: list };
+});
+
+fastify.patch('/tokens/:id', { preHandler: requireRole(['head'], 'tokens:admin') }, async (req, reply) => {
+  const t = tokens.get(req.params.id);
+  if (!t) return reply.code(404).send({ error: 'not_found' });
+  if (t.revokedAt) return reply.code(409).send({ error: 'revoked' });
+  const body = req.body || {};
+
+  if (body.expiresAt !== undefined || body.expiresInSeconds !== undefined) {
+    const expiresAt = parseExpiry(body);
+    if (expiresAt === undefined) return reply.code(400).send({ error: 'invalid_expiry' });
+    t.expiresAt = expiresAt;
+  }
+  if (body.scopes !== undefined) {
+    const scopes = parseScopes(body.scopes);
+    if (scopes === undefined) return reply.code(400).send({ error: 'invalid_scopes', allowed: SCOPES });
+    t.scopes = scopes;
+  }
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string') return reply.code(400).send({ error: 'invalid_name' });
+    t.name = body.name;
+  }
+  if (body.quotaBytes !== undefined) {
+    const quotaBytes = parseQuota(body.quotaBytes);
+    if (quotaBytes === undefined) return reply.code(400).send({ error: 'invalid_quota' });
+    t.quotaBytes = quotaBytes;
+  }
+  await writeToken(t);
+  return { token: publicToken(t) };
+});
+
+fastify.delete('/tokens/:id', { preHandler: requireRole(['head'], 'tokens:admin') }, async (req, reply) => {
+  const t = tokens.get(req.params.id);
+  if (!t) return reply.code(404).send({ error: 'not_found' });
+  if (!t.revokedAt) {
+    t.revokedAt = nowIso();
+    await writeToken(t);
+  }
+  return { token: publicToken(t) };
+});
+
+/* ─── schedules (recurring job templates) ───
+ * Each schedule holds a cron expression, an IANA timezone and a job template.
+ * The scheduler materialises one job per cron slot, with a deterministic id
+ * (`<scheduleId>-<slotEpochSeconds>`) so a slot can never fire twice, even
+ * after a crash between creating the job and advancing `nextRunAt`.
+ *
+ * Slots older than SCHEDULE_MISFIRE_GRACE_SECONDS (e.g. after downtime) are
+ * handled per `misfirePolicy`: `skip` drops them, `fire_once` fires a single
+ * job for the latest one, `fire_all` fires each (up to SCHEDULE_MAX_CATCHUP).
+ */
+
+const MISFIRE_POLICIES = ['skip', 'fire_once', 'fire_all'];
+const TEMPLATE_FIELDS  = ['target', 'spec', 'meta', 'maxAttempts', 'priority', 'backoff', 'requires'];
+
+// Serialises read-modify-write of one schedule between the scheduler and PATCH / DELETE
+const withScheduleLock = createKeyedMutex();
+
+async function readSchedule(id) {
+  const raw = await fs.readFile(path.join(SCHEDULES_DIR, `${id}.json`), 'utf8');
+  return JSON.parse(raw);
+}
+
+async function writeSchedule(schedule) {
+  await writeJsonAtomic(path.join(SCHEDULES_DIR, `${schedule.id}.json`), schedule);
+}
+
+async function loadAllSchedules() {
+  const out = [];
+  for (const f of await fs.readdir(SCHEDULES_DIR)) {
+    if (!f.endsWith('.json')) continue;
+    try {
+      out.push(JSON.parse(await fs.readFile(path.join(SCHEDULES_DIR, f), 'utf8')));
+    } catch (err) {
+      fastify.log.warn({ file: f, err: err.message }, 'skipping unreadable schedule file');
+    }
+  }
+  return out;
+}
+
+/** Applies body fields onto `schedule` (new or existing); returns an error body or null. */
+function applyScheduleFields(schedule, body) {
+  if (body.name !== undefined) schedule.name = String(body.name);
+  if (body.enabled !== undefined) schedule.enabled = body.enabled !== false;
+  if (body.cron !== undefined) {
+    try { parseCron(body.cron); } catch (err) { return { error: 'invalid_cron', message: err.message }; }
+    schedule.cron = String(body.cron);
+  }
+  if (body.timezone !== undefined) {
+    try { assertTimeZone(body.timezone); } catch { return { error: 'invalid_timezone' }; }
+    schedule.timezone = body.timezone;
+  }
+  if (body.misfirePolicy !== undefined) {
+    if (!MISFIRE_POLICIES.includes(body.misfirePolicy)) return { error: 'invalid_misfire_policy' };
+    schedule.misfirePolicy = body.misfirePolicy;
+  }
+  if (body.template !== undefined) {
+    if (!body.template || typeof body.template !== 'object') return { error: 'invalid_template' };
+    const template = {};
+    for (const k of TEMPLATE_FIELDS) if (body.template[k] !== undefined) template[k] = body.template[k];
+    const { error } = buildJob(template);
+    if (error) return { error: 'invalid_template', detail: error };
+    schedule.template = template;
+  }
+  if (!schedule.cron) return { error: 'missing_cron' };
+  return null;
+}
+
+function computeNextRunAt(schedule, afterMs = Date.now()) {
+  const next = nextCronTime(parseCron(schedule.cron), afterMs, schedule.timezone);
+  return next === null ? null : new Date(next).toISOString();
+}
+
+async function fireScheduleSlot(schedule, slotMs) {
+  const id = `${schedule.id}-${Math.floor(slotMs / 1000)}`;
+  try { await readJob(id); return false; } catch {}  // already fired
+
+  const template = schedule.template || {};
+  const meta = { ...(template.meta || {}), scheduleId: schedule.id, scheduledFor: new Date(slotMs).toISOString() };
+  const { job, error } = buildJob({ ...template, meta }, { id, createdBy: 'schedule' });
+  if (error) throw new Error(`invalid template: ${error}`);
+  await insertJob(job);
+  return true;
+}
+
+/** Fires the due slots of one schedule and advances it; runs under the schedule's lock. */
+async function runSchedule(id) {
+  let schedule;
+  try { schedule = await readSchedule(id); } catch { return; }  // deleted since the scan
+  if (!schedule.enabled || !schedule.nextRunAt) return;
+  const now = Date.now();
+  if (new Date(schedule.nextRunAt).getTime() > now) return;
+
+  const cron = parseCron(schedule.cron);
+  const due  = [];
+  let slot   = new Date(schedule.nextRunAt).getTime();
+  while (slot !== null && slot <= now && due.length < SCHEDULE_MAX_CATCHUP) {
+    due.push(slot);
+    slot = nextCronTime(cron, slot, schedule.timezone);
+  }
+
+  const graceMs = SCHEDULE_MISFIRE_GRACE_SECONDS * 1000;
+  let fire;
+  if (schedule.misfirePolicy === 'fire_all')       fire = due;
+  else if (schedule.misfirePolicy === 'fire_once') fire = due.slice(-1);
+  else                                             fire = due.filter(t => now - t <= graceMs).slice(-1);
+
+  let fired = 0;
+  for (const t of fire) {
+    if (await fireScheduleSlot(schedule, t)) fired++;
+  }
+  const skipped = due.length - fire.length;
+  if (skipped > 0) fastify.log.info({ scheduleId: schedule.id, skipped }, 'scheduler: skipped missed slots');
+
+  schedule.lastSlotAt   = new Date(due[due.length - 1]).toISOString();
+  if (fire.length) schedule.lastFiredAt = new Date(fire[fire.length - 1]).toISOString();
+  schedule.firedCount   = (schedule.firedCount || 0) + fired;
+  schedule.skippedCount = (schedule.skippedCount || 0) + skipped;
+  schedule.nextRunAt    = computeNextRunAt(schedule, now);
+  schedule.updatedAt    = nowIso();
+  await writeSchedule(schedule);
+}
+
+async function runScheduler() {
+  let schedules;
+  try {
+    schedules = await loadAllSchedules();
+  } catch (err) {
+    fastify.log.warn({ err: err.message }, 'scheduler: scan error');
+    return;
+  }
+
+  for (const { id, enabled, nextRunAt } of schedules) {
+    if (!enabled || !nextRunAt || new Date(nextRunAt).getTime() > Date.now()) continue;
+    try {
+      await withScheduleLock(id, () => runSchedule(id));
+    } catch (err) {
+      fastify.log.warn({ scheduleId: id, err: err.message }, 'scheduler: error processing schedule');
+    }
+  }
+}
+
+/* ─── /schedules (head only) ─── */
+
+fastify.post('/schedules', { preHandler: requireRole(['head'], 'schedules:write') }, async (req, reply) => {
+  const body = req.body || {};
+  const schedule = {
+    id: nanoid(),
+    name: '',
+    enabled: true,
+    cron: null,
+    timezone: 'UTC',
+    misfirePolicy: SCHEDULE_MISFIRE_POLICY,
+    template: {},
+    createdAt: nowIso(),
+    updatedAt: nowIso(),
+    nextRunAt: null,
+    lastSlotAt: null,
+    lastFiredAt: null,
+    firedCount: 0,
+    skippedCount: 0,
+  };
+  const err = applyScheduleFields(schedule, { template: {}, ...body });
+  if (err) return reply.code(400).send(err);
+  schedule.nextRunAt = computeNextRunAt(schedule);
+  await writeSchedule(schedule);
+  return reply.code(201).send(schedule);
+});
+
+fastify.get('/schedules', { preHandler: requireRole(['head'], 'schedules:read') }, async () => {
+  const schedules = await loadAllSchedules();
+  schedules.sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+  return { schedules };
+});
+
+fastify.get('/schedules/:id', { preHandler: requireRole(['head'], 'schedules:read') }, async (req, reply) => {
+  try { return await readSchedule(req.params.id); } catch { return reply.code(404).send({ error: 'not_found' }); }
+});
+
+fastify.patch('/schedules/:id', { preHandler: requireRole(['head'], 'schedules:write') }, async (req, reply) => {
+  const body = req.body || {};
+  return withScheduleLock(req.params.id, async () => {
+    let schedule;
+    try { schedule = await readSchedule(req.params.id); } catch { return reply.code(404).send({ error: 'not_found' }); }
+
+    const err = applyScheduleFields(schedule, body);
+    if (err) return reply.code(400).send(err);
+    // A new cadence starts from now; missed slots of the old one are not replayed
+    if (body.cron !== undefined || body.timezone !== undefined || body.enabled === true) {
+      schedule.nextRunAt = computeNextRunAt(schedule);
+    }
+    schedule.updatedAt = nowIso();
+    await writeSchedule(schedule);
+    return schedule;
+  });
+});
+
+fastify.delete('/schedules/:id', { preHandler: requireRole(['head'], 'schedules:write') }, async (req, reply) => {
+  return withScheduleLock(req.params.id, async () => {
+    try {
+      await fs.unlink(path.join(SCHEDULES_DIR, `${req.params.id}.json`));
+    } catch {
+      return reply.code(404).send({ error: 'not_found' });
+    }
+    return { ok: true };
+  });
+});
+
+/* ─── webhooks ───
+ * Head-managed subscriptions receive a POST for every recorded job event
+ * that matches their `events` types (or `*`) and optional `target`. Each
+ * match becomes a delivery file in deliveries/ before it is sent, so the
+ * retry queue survives restarts. Failed sends retry with exponential backoff
+ * (WEBHOOK_RETRY_BASE_SECONDS · 2^n, capped at an hour) up to
+ * WEBHOOK_MAX_ATTEMPTS, after which the delivery is `failed` until redelivered.
+ * The deliveries directory is scanned once at startup; after that the queue
+ * works from the in-memory pending set. Delivered and failed records are
+ * removed WEBHOOK_DELIVERY_RETENTION_DAYS after they finish (0 keeps them).
+ *
+ * Requests carry X-Spine-Signature: sha256=HMAC(secret, `${timestamp}.${body}`)
+ * with the timestamp in X-Spine-Timestamp.
+ */
+
+const webhooks = new Map();            // id → subscription
+const deliveriesInFlight = new Set();  // delivery ids being sent right now
+const pendingDeliveries  = new Map();  // delivery id → nextAttemptAt (ms)
+const finishedDeliveries = new Map();  // delivery id → finished at (ms), for pruning
+
+function publicWebhook(w) {
+  const { secret, ...rest } = w;
+  return rest;
+}
+
+function parseWebhookUrl(raw) {
+  try {
+    const u = new URL(raw);
+    return ['http:', 'https:'].includes(u.protocol) ? u.toString() : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+function parseEventTypes(raw) {
+  if (raw === undefined || raw === null) return ['*'];
+  if (!Array.isArray(raw) || !raw.length || !raw.every(t => typeof t === 'string' && t)) return undefined;
+  return [...new Set(raw)];
+}
+
+/** `job` is null once the job is gone (job.deleted / job.archived); those events carry `target` themselves. */
+function webhookMatches(w, event, job) {
+  if (!w.enabled) return false;
+  if (!w.events.includes('*') && !w.events.includes(event.type)) return false;
+  return !w.target || (job?.target ?? event.target) === w.target;
+}
+
+async function writeWebhook(w) {
+  await writeJsonAtomic(path.join(WEBHOOKS_DIR, `${w.id}.json`), w);
+}
+
+async function loadWebhooks() {
+  for (const f of await fs.readdir(WEBHOOKS_DIR)) {
+    if (!f.endsWith('.json')) continue;
+    try {
+      const w = JSON.parse(await fs.readFile(path.join(WEBHOOKS_DIR, f), 'utf8'));
+      webhooks.set(w.id, w);
+    } catch (err) {
+      fastify.log.warn({ file: f, err: err.message }, 'skipping unreadable webhook file');
+    }
+  }
+}
+
+async function readDelivery(id) {
+  return JSON.parse(await fs.readFile(path.join(DELIVERIES_DIR, `${id}.json`), 'utf8'));
+}
+
+function trackDelivery(d) {
+  if (d.status === 'pending') {
+    pendingDeliveries.set(d.id, new Date(d.nextAttemptAt).getTime());
+    finishedDeliveries.delete(d.id);
+  } else {
+    pendingDeliveries.delete(d.id);
+    finishedDeliveries.set(d.id, new Date(d.deliveredAt || d.lastAttemptAt || d.createdAt).getTime());
+  }
+}
+
+async function writeDelivery(d) {
+  await writeJsonAtomic(path.join(DELIVERIES_DIR, `${d.id}.json`), d);
+  trackDelivery(d);
+}
+
+async function loadAllDeliveries() {
+  const out = [];
+  for (const f of await fs.readdir(DELIVERIES_DIR)) {
+    if (!f.endsWith('.json')) continue;
+    try { out.push(JSON.parse(await fs.readFile(path.join(DELIVERIES_DIR, f), 'utf8'))); } catch {}
+  }
+  return out;
+}
+
+async function loadDeliveries() {
+  for (const d of await loadAllDeliveries()) trackDelivery(d);
+}
+
+/** Removes finished delivery records older than WEBHOOK_DELIVERY_RETENTION_DAYS. */
+async function pruneDeliveries(now = Date.now()) {
+  if (!WEBHOOK_DELIVERY_RETENTION_DAYS) return;
+  const cutoff = now - WEBHOOK_DELIVERY_RETENTION_DAYS * 86_400_000;
+  for (const [id, finishedAt] of [...finishedDeliveries]) {
+    if (finishedAt >= cutoff || deliveriesInFlight.has(id)) continue;
+    await fs.rm(path.join(DELIVERIES_DIR, `${id}.json`), { force: true });
+    finishedDeliveries.delete(id);
+  }
+}
+
+/** Called from appendEvent: persists one pending delivery per matching subscription, then sends. */
+async function enqueueWebhooks(event) {
+  if (!webhooks.size) return;
+  let job = null;
+  try { job = await readJob(event.jobId); } catch {}
+
+  const created = [];
+  for (const w of webhooks.values()) {
+    if (!webhookMatches(w, event, job)) continue;
+    const d = {
+      id: nanoid(),
+      webhookId: w.id,
+      seq: event.seq,
+      jobId: event.jobId,
+      type: event.type,
+      payload: { event, job: job && publicJob(job) },
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: nowIso(),
+      lastAttemptAt: null,
+      lastStatusCode: null,
+      lastError: null,
+      createdAt: nowIso(),
+      deliveredAt: null,
+    };
+    await writeDelivery(d);
+    created.push(d);
+  }
+  for (const d of created) attemptDelivery(d.id);
+}
+
+function retryDelayMs(attempts) {
+  return Math.min(WEBHOOK_RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1), 3_600_000);
+}
+
+/**
+ * Sends one pending delivery and records the outcome. The record is re-read
+ * once marked in flight, so a stale copy from a queue scan never resends.
+ */
+async function attemptDelivery(id) {
+  if (deliveriesInFlight.has(id)) return null;
+  deliveriesInFlight.add(id);
+  let d = null;
+  try {
+    d = await readDelivery(id);
+    if (d.status !== 'pending') return d;
+    const w = webhooks.get(d.webhookId);
+    if (!w) {
+      d.status    = 'failed';
+      d.lastError = 'webhook_deleted';
+      await writeDelivery(d);
+      return d;
+    }
+
+    const body      = JSON.stringify({ deliveryId: d.id, webhookId: w.id, ...d.payload });
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = crypto.createHmac('sha256', w.secret).update(`${timestamp}.${body}`).digest('hex');
+
+    d.attempts     += 1;
+    d.lastAttemptAt = nowIso();
+    try {
+      const res = await fetch(w.url, {
+        method: 'POST',
+        headers: {
+          'content-type':      'application/json',
+          'user-agent':        'spine-webhooks',
+          'x-spine-event':     d.type,
+          'x-spine-delivery':  d.id,
+          'x-spine-timestamp': timestamp,
+          'x-spine-signature': `sha256=${signature}`,
+        },
+        body,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+      await res.arrayBuffer().catch(() => {});
+      d.lastStatusCode = res.status;
+      d.lastError      = res.ok ? null : `http_${res.status}`;
+    } catch (err) {
+      d.lastStatusCode = null;
+      d.lastError      = err.name === 'TimeoutError' ? 'timeout' : err.message;
+    }
+
+    if (!d.lastError) {
+      d.status        = 'delivered';
+      d.deliveredAt   = nowIso();
+      d.nextAttemptAt = null;
+    } else if (d.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+      d.status        = 'failed';
+      d.nextAttemptAt = null;
+    } else {
+      d.nextAttemptAt = new Date(Date.now() + retryDelayMs(d.attempts)).toISOString();
+    }
+    await writeDelivery(d);
+    return d;
+  } catch (err) {
+    fastify.log.warn({ deliveryId: id, err: err.message }, 'webhooks: delivery error');
+    return d;
+  } finally {
+    deliveriesInFlight.delete(id);
+  }
+}
+
+/** Retry loop: sends pending deliveries whose nextAttemptAt has passed, then prunes old finished ones. */
+async function runWebhookQueue() {
+  try {
+    const now = Date.now();
+    for (const [id, nextAttemptAt] of [...pendingDeliveries]) {
+      if (nextAttemptAt > now) continue;
+      await attemptDelivery(id);
+    }
+    await pruneDeliveries(now);
+  } catch (err) {
+    fastify.log.warn({ err: err.message }, 'webhooks: queue scan error');
+  }
+}
+
+/* ─── /webhooks (head only) ─── */
+
+fastify.post('/webhooks', { preHandler: requireRole(['head'], 'webhooks:admin') }, async (req, reply) => {
+  const body = req.body || {};
+  const url = parseWebhookUrl(body.url);
+  if (!url) return reply.code(400).send({ error: 'invalid_url' });
+  const events = parseEventTypes(body.events);
+  if (!events) return reply.code(400).send({ error: 'invalid_events' });
+  if (body.target !== undefined && body.target !== null && typeof body.target !== 'string') {
+    return reply.code(400).send({ error: 'invalid_target' });
+  }
+  if (body.secret !== undefined && (typeof body.secret !== 'string' || body.secret.length < 16)) {
+    return reply.code(400).send({ error: 'invalid_secret' });
+  }
+
+  const webhook = {
+    id: nanoid(),
+    name: typeof body.name === 'string' ? body.name : '',
+    url,
+    events,
+    target: body.target ?? null,
+    secret: body.secret ?? `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+    enabled: body.enabled !== false,
+    createdAt: nowIso(),
+    updatedAt: nowIso(),
+  };
+  await writeWebhook(webhook);
+  webhooks.set(webhook.id, webhook);
+  return reply.code(201).send({ webhook: publicWebhook(webhook), secret: webhook.secret });
+});
+
+fastify.get('/webhooks', { preHandler: requireRole(['head'], 'webhooks:admin') }, async () => {
+  const list = [...webhooks.values()].map(publicWebhook);
+  list.sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+  return { webhooks: list };
+});
+
+fastify.get('/webhooks/:id', { preHandler: requireRole(['head'], 'webhooks:admin') }, async (req, reply) => {
+  const w = webhooks.get(req.params.id);
+  if (!w) return reply.code(404).send({ error: 'not_found' });
+  return { webhook: publicWebhook(w) };
+});
+
+fastify.patch('/webhooks/:id', { preHandler: requireRole(['head'], 'webhooks:admin') }, async (req, reply) => {
+  const w = webhooks.get(req.params.id);
+  if (!w) return reply.code(404).send({ error: 'not_found' });
+  const body = req.body || {};
+
+  if (body.url !== undefined) {
+    const url = parseWebhookUrl(body.url);
+    if (!url) return reply.code(400).send({ error: 'invalid_url' });
+    w.url = url;
+  }
+  if (body.events !== undefined) {
+    const events = parseEventTypes(body.events);
+    if (!events) return reply.code(400).send({ error: 'invalid_events' });
+    w.events = events;
+  }
+  if (body.target !== undefined) {
+    if (body.target !== null && typeof body.target !== 'string') return reply.code(400).send({ error: 'invalid_target' });
+    w.target = body.target;
+  }
+  if (body.secret !== undefined) {
+    if (typeof body.secret !== 'string' || body.secret.length < 16) return reply.code(400).send({ error: 'invalid_secret' });
+    w.secret = body.secret;
+  }
+  if (body.enabled !== undefined) w.enabled = !!body.enabled;
+  if (typeof body.name === 'string') w.name = body.name;
+  w.updatedAt = nowIso();
+  await writeWebhook(w);
+  return { webhook: publicWebhook(w) };
+});
+
+fastify.delete('/webhooks/:id', { preHandler: requireRole(['head'], 'webhooks:admin') }, async (req, reply) => {
+  const w = webhooks.get(req.params.id);
+  if (!w) return reply.code(404).send({ error: 'not_found' });
+  await fs.unlink(path.join(WEBHOOKS_DIR, `${w.id}.json`));
+  webhooks.delete(w.id);
+  return { ok: true };
+});
+
+/* ─── GET /webhooks/:id/deliveries (delivery log, newest first) ─── */
+
+fastify.get('/webhooks/:id/deliveries', { preHandler: requireRole(['head'], 'webhooks:admin') }, async (req, reply) => {
+  if (!webhooks.has(req.params.id)) return reply.code(404).send({ error: 'not_found' });
+  const limit = Math.min(Math.max(parseInt(req.query.limit ?? '50', 10) || 50, 1), 500);
+  let list = (await loadAllDeliveries()).filter(d => d.webhookId === req.params.id);
+  if (req.query.status) list = list.filter(d => d.status === req.query.status);
+  list.sort((a, b) => b.seq - a.seq || (a.createdAt < b.createdAt ? 1 : -1));
+  return { deliveries: list.slice(0, limit) };
+});
+
+/* ─── POST /webhooks/:id/deliveries/:deliveryId/redeliver ───
+ * Resets the delivery (fresh attempt budget) and sends it immediately;
+ * responds with the outcome of that attempt.
+ */
+
+fastify.post('/webhooks/:id/deliveries/:deliveryId/redeliver', { preHandler: requireRole(['head'], 'webhooks:admin') }, async (req, reply) => {
+  if (!webhooks.has(req.params.id)) return reply.code(404).send({ error: 'not_found' });
+  let d;
+  try { d = await readDelivery(req.params.deliveryId); } catch { return reply.code(404).send({ error: 'delivery_not_found' }); }
+  if (d.webhookId !== req.params.id) return reply.code(404).send({ error: 'delivery_not_found' });
+  if (deliveriesInFlight.has(d.id)) return reply.code(409).send({ error: 'in_flight' });
+
+  d.status        = 'pending';
+  d.attempts      = 0;
+  d.nextAttemptAt = nowIso();
+  d.redeliveredAt = nowIso();
+  await writeDelivery(d);
+  return { delivery: await attemptDelivery(d.id) };
+});
+
+/* ─── retention & archives ───
+ * Terminal jobs older than their status's retention (RETENTION_*_DAYS,
+ * measured from updatedAt; 0 keeps forever) are removed together with their
+ * event log. In `archive` mode they are first written to a gzip'd JSONL
+ * bundle, archive/<id>.jsonl.gz (one `{ job, events }` line per job), with a
+ * manifest in archive/<id>.json; POST /archives/:id/restore puts them back.
+ * Jobs still referenced by an unfinished job (dependsOn / fromJob) are kept.
+ *
+ * Blob GC (BLOB_GC_AFTER_DAYS, 0 disables) then removes blobs older than
+ * that age that no remaining job references; content is deleted once no
+ * blob id points at it. Archived jobs do not keep their blobs alive.
+ *
+ * Finally the global stream log is trimmed to STREAM_RETENTION_DAYS (0 keeps
+ * it whole), which bounds how far back Last-Event-ID can replay.
+ *
+ * Removals are recorded as stream-only events: job.archived / job.deleted
+ * and blob.collected.
+ */
+
+let retentionRunning = false;
+
+/** Retention policy for one run; `overrides` comes from POST /retention/run. */
+function parseRetentionPolicy(overrides = {}) {
+  const days = { ...RETENTION_DAYS };
+  for (const [status, v] of Object.entries(overrides.days || {})) {
+    if (!(status in days) || typeof v !== 'number' || v < 0) return undefined;
+    days[status] = v;
+  }
+  const mode = overrides.mode ?? RETENTION_MODE;
+  if (!['archive', 'delete'].includes(mode)) return undefined;
+  const blobGcDays = overrides.blobGcDays ?? BLOB_GC_AFTER_DAYS;
+  if (typeof blobGcDays !== 'number' || blobGcDays < 0) return undefined;
+  const streamDays = overrides.streamDays ?? STREAM_RETENTION_DAYS;
+  if (typeof streamDays !== 'number' || streamDays < 0) return undefined;
+  return { days, mode, blobGcDays, streamDays, dryRun: !!overrides.dryRun };
+}
+
+function isExpiredByRetention(job, days, now) {
+  const d = days[job.status];
+  return !!d && now - new Date(job.updatedAt).getTime() > d * 86_400_000;
+}
+
+async function writeArchive(id, entries) {
+  const lines = entries.map(e => JSON.stringify(e) + '\n');
+  await pipeline(Readable.from(lines), createGzip(), createWriteStream(path.join(ARCHIVE_DIR, `${id}.jsonl.gz`)));
+}
+
+async function* readArchive(id) {
+  const input = createReadStream(path.join(ARCHIVE_DIR, `${id}.jsonl.gz`)).pipe(createGunzip());
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const line of rl) {
+    if (line) yield JSON.parse(line);
+  }
+}
+
+async function readArchiveManifest(id) {
+  if (!BLOB_ID_RE.test(id)) throw new Error('invalid_archive_id');
+  return JSON.parse(await fs.readFile(path.join(ARCHIVE_DIR, `${id}.json`), 'utf8'));
+}
+
+async function collectBlobs(liveJobs, blobGcDays, dryRun) {
+  if (!blobGcDays) return [];
+  const referenced = new Set(liveJobs.flatMap(jobBlobIds));
+  const cutoff = Date.now() - blobGcDays * 86_400_000;
+
+  const metas = [];
+  for (const f of await fs.readdir(BLOBS_DIR)) {
+    if (!f.endsWith('.meta.json')) continue;
+    try { metas.push(JSON.parse(await fs.readFile(path.join(BLOBS_DIR, f), 'utf8'))); } catch {}
+  }
+  const doomed = metas.filter(m => !referenced.has(m.id) && new Date(m.createdAt).getTime() < cutoff);
+  if (dryRun) return doomed.map(m => m.id);
+
+  const doomedIds = new Set(doomed.map(m => m.id));
+  const keptDigests = new Set(metas.filter(m => !doomedIds.has(m.id)).map(m => m.sha256));
+  for (const m of doomed) {
+    await fs.rm(blobMetaPath(m.id), { force: true });
+    await fs.rm(path.join(BLOBS_DIR, m.id), { force: true });  // pre-content-addressing layout
+    if (!keptDigests.has(m.sha256)) {
+      await fs.rm(blobContentPath(m.sha256), { force: true });
+      keptDigests.add(m.sha256);  // removed once
+    }
+    const owner = m.owner ?? m.createdBy;
+    blobUsage.set(owner, Math.max(0, (blobUsage.get(owner) || 0) - m.size));
+    await appendEvent(null, { t: nowIso(), type: 'blob.collected', by: 'retention', blobId: m.id, sha256: m.sha256, size: m.size }, { jobLog: false });
+  }
+  return doomed.map(m => m.id);
+}
+
+/**
+ * Drops stream log events older than `streamDays`, always keeping the last
+ * line so loadLastSeq still finds the current seq. Holds the event log lock
+ * while it rewrites; returns how many events were (or would be) dropped.
+ */
+async function trimStreamLog(streamDays, dryRun) {
+  if (!streamDays) return 0;
+  const cutoff = new Date(Date.now() - streamDays * 86_400_000).toISOString();
+  return withEventLog('stream', async () => {
+    const tmp = `${STREAM_LOG}.tmp.${process.pid}.${Date.now()}`;
+    const out = dryRun ? null : createWriteStream(tmp, 'utf8');
+    let dropped = 0;
+    let held = null;  // one line behind, so the last line is never dropped
+    try {
+      const rl = readline.createInterface({ input: createReadStream(STREAM_LOG, 'utf8'), crlfDelay: Infinity });
+      for await (const line of rl) {
+        if (!line) continue;
+        if (held !== null) {
+          let t = null;
+          try { t = JSON.parse(held).t; } catch {}
+          if (t && t < cutoff) dropped++;
+          else out?.write(held + '\n');
+        }
+        held = line;
+      }
+      if (held !== null) out?.write(held + '\n');
+      await new Promise((resolve, reject) => (out ? out.end(err => (err ? reject(err) : resolve())) : resolve()));
+    } catch (err) {
+      out?.destroy();
+      await fs.rm(tmp, { force: true });
+      if (err.code === 'ENOENT') return 0;
+      throw err;
+    }
+    if (dryRun) return dropped;
+    if (dropped) await fs.rename(tmp, STREAM_LOG);
+    else await fs.rm(tmp, { force: true });
+    return dropped;
+  });
+}
+
+async function runRetention(policy = parseRetentionPolicy()) {
+  if (retentionRunning) return null;
+  retentionRunning = true;
+  try {
+    const now  = Date.now();
+    const jobs = allJobs();
+    const neededByUnfinished = new Set(
+      jobs.filter(j => !isTerminalStatus(j.status)).flatMap(j => [
+        ...(j.dependsOn || []),
+        ...Object.values(j.inputs || {}).filter(ref => ref.fromJob).map(ref => ref.fromJob),
+      ]),
+    );
+    const expired = jobs.filter(j => isTerminalStatus(j.status) && isExpiredByRetention(j, policy.days, now) && !neededByUnfinished.has(j.id));
+    const expiredIds = new Set(expired.map(j => j.id));
+    const liveJobs = jobs.filter(j => !expiredIds.has(j.id));
+
+    const summary = { mode: policy.mode, dryRun: policy.dryRun, archiveId: null, jobs: expired.map(j => j.id), blobs: [], streamEvents: 0 };
+    if (expired.length && !policy.dryRun) {
+      if (policy.mode === 'archive') {
+        const archiveId = nanoid();
+        const entries = [];
+        for (const job of expired) entries.push({ job, events: await readJobEvents(job.id) });
+        await writeArchive(archiveId, entries);
+        await writeJsonAtomic(path.join(ARCHIVE_DIR, `${archiveId}.json`), {
+          id: archiveId,
+          createdAt: nowIso(),
+          jobCount: expired.length,
+          jobs: expired.map(j => ({ id: j.id, status: j.status, target: j.target, updatedAt: j.updatedAt })),
+          restoredAt: null,
+        });
+        summary.archiveId = archiveId;
+      }
+      for (const job of expired) {
+        await withJobLock(job.id, async () => {
+          // Changed since the scan (e.g. retried): keep it; restore skips ids that still exist
+          if (jobsById.get(job.id)?.version !== job.version) return;
+          await deleteJobFile(job.id);
+          await fs.rm(path.join(EVENTS_DIR, `${job.id}.jsonl`), { force: true });
+          await appendEvent(job.id, {
+            t: nowIso(), type: policy.mode === 'archive' ? 'job.archived' : 'job.deleted', by: 'retention',
+            status: job.status, target: job.target, archiveId: summary.archiveId,
+          }, { jobLog: false });
+        });
+      }
+    }
+    summary.blobs = await collectBlobs(liveJobs, policy.blobGcDays, policy.dryRun);
+    summary.streamEvents = await trimStreamLog(policy.streamDays, policy.dryRun);
+    if (summary.jobs.length || summary.blobs.length || summary.streamEvents) {
+      fastify.log.info({ jobs: summary.jobs.length, blobs: summary.blobs.length, streamEvents: summary.streamEvents, archiveId: summary.archiveId, dryRun: policy.dryRun }, 'retention: removed expired data');
+    }
+    return summary;
+  } finally {
+    retentionRunning = false;
+  }
+}
+
+/* ─── /retention and /archives (head only) ─── */
+
+fastify.post('/retention/run', { preHandler: requireRole(['head'], 'archives:admin') }, async (req, reply) => {
+  const policy = parseRetentionPolicy(req.body || {});
+  if (!policy) return reply.code(400).send({ error: 'invalid_policy' });
+  const summary = await runRetention(policy);
+  if (!summary) return reply.code(409).send({ error: 'retention_running' });
+  return summary;
+});
+
+fastify.get('/archives', { preHandler: requireRole(['head'], 'archives:admin') }, async () => {
+  const list = [];
+  for (const f of await fs.readdir(ARCHIVE_DIR)) {
+    if (!f.endsWith('.json')) continue;
+    try {
+      const { jobs, ...manifest } = JSON.parse(await fs.readFile(path.join(ARCHIVE_DIR, f), 'utf8'));
+      list.push(manifest);
+    } catch {}
+  }
+  list.sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+  return { archives: list };
+});
+
+fastify.get('/archives/:id', { preHandler: requireRole(['head'], 'archives:admin') }, async (req, reply) => {
+  try { return await readArchiveManifest(req.params.id); } catch { return reply.code(404).send({ error: 'not_found' }); }
+});
+
+/* ─── POST /archives/:id/restore ───
+ * Rewrites archived jobs (all, or `jobIds`) and their event logs. Jobs whose
+ * id exists again are skipped rather than overwritten.
+ */
+
+fastify.post('/archives/:id/restore', { preHandler: requireRole(['head'], 'archives:admin') }, async (req, reply) => {
+  let manifest;
+  try { manifest = await readArchiveManifest(req.params.id); } catch { return reply.code(404).send({ error: 'not_found' }); }
+  const only = (req.body || {}).jobIds;
+  if (only !== undefined && !(Array.isArray(only) && only.every(x => typeof x === 'string'))) {
+    return reply.code(400).send({ error: 'invalid_job_ids' });
+  }
+
+  const restored = [];
+  const skipped  = [];
+  for await (const { job, events } of readArchive(manifest.id)) {
+    if (only && !only.includes(job.id)) continue;
+    await withJobLock(job.id, async () => {
+      if (jobsById.has(job.id)) {
+        skipped.push(job.id);
+        return;
+      }
+      const log = events.map(e => JSON.stringify(e) + '\n').join('');
+      await fs.writeFile(path.join(EVENTS_DIR, `${job.id}.jsonl`), log, 'utf8');
+      await writeJobAtomic(job.id, job);
+      await appendEvent(job.id, { t: nowIso(), type: 'job.restored', by: principalName(req.who), archiveId: manifest.id, status: job.status });
+      restored.push(job.id);
+    });
+  }
+
+  manifest.restoredAt = nowIso();
+  await writeJsonAtomic(path.join(ARCHIVE_DIR, `${manifest.id}.json`), manifest);
+  return { restored, skipped };
+});
+
+/* ─── Expiry Reaper ───
+ * Runs on a timer. Looks up candidates in the job index rather than scanning
+ * the jobs directory: running jobs whose lease heap entry has passed (or
+ * whose holder went offline) return to queued (or are marked dead if
+ * maxAttempts reached); due `scheduled` jobs are promoted to `queued`; and
+ * `blocked` jobs are re-checked against their parents.
+ */
+
+function reaperCandidates(now = Date.now()) {
+  const ids = new Set([
+    ...(idsByStatus.get('blocked') || []),
+    ...jobsWithStatus('scheduled').filter(job => isDue(job)).map(job => job.id),
+    ...popExpiredLeases(now),
+    ...jobsWithStatus('running').filter(job => isHolderOffline(job)).map(job => job.id),
+  ]);
+  return [...ids];
+}
+
+/** Promotes a due scheduled job or reclaims an expired / orphaned running one; runs under the job's lock. */
+async function reapJob(id) {
+  const job = await readJob(id);
+
+  // Scheduled job whose runAt has arrived
+  if (job.status === 'scheduled') {
+    if (!isDue(job)) return;
+    job.status    = 'queued';
+    job.updatedAt = nowIso();
+    await writeJobAtomic(id, job);
+    await appendEvent(id, { t: nowIso(), type: 'job.due', by: 'reaper', runAt: job.runAt });
+    fastify.log.info({ jobId: id }, 'reaper: scheduled job due → queued');
+    return;
+  }
+
+  if (job.status !== 'running') return;
+  const holderOffline = isHolderOffline(job);
+  if (isLeaseValid(job) && !holderOffline) return;
+
+  // Lease expired, or its holder stopped reporting presence
+  const reason      = holderOffline ? 'worker_offline' : 'lease_expired';
+  const maxAttempts = job.maxAttempts ?? DEFAULT_MAX_ATTEMPTS;
+  if (job.attempts >= maxAttempts) {
+    job.status     = 'dead';
+    job.leaseUntil = null;
+    job.leaseToken = null;
+    job.updatedAt  = nowIso();
+    await writeJobAtomic(id, job);
+    await appendEvent(id, { t: nowIso(), type: 'job.dead', by: 'reaper', reason: `${reason}_max_attempts`, attempts: job.attempts });
+    fastify.log.info({ jobId: id }, 'reaper: job marked dead (max attempts after lease expiry)');
+  } else {
+    job.status     = 'queued';
+    job.claimedBy  = null;
+    job.leaseUntil = null;
+    job.leaseToken = null;
+    job.notBefore  = computeNotBefore(job);
+    job.updatedAt  = nowIso();
+    await writeJobAtomic(id, job);
+    await appendEvent(id, { t: nowIso(), type: 'job.expired', by: 'reaper', reason, attempt: job.attempts, notBefore: job.notBefore });
+    fastify.log.info({ jobId: id, reason }, 'reaper: expired lease → queued');
+  }
+}
+
+async function runReaper() {
+  try {
+    for (const id of reaperCandidates()) {
+      try {
+        // Blocked job whose parents settled while no write event was seen (e.g. across a restart)
+        if (jobsById.get(id)?.status === 'blocked') await settleBlockedJob(id, 'reaper');
+        else await withJobLock(id, () => reapJob(id));
+      } catch (err) {
+        fastify.log.warn({ jobId: id, err: err.message }, 'reaper: error processing job');
+        // Re-index so an already-popped lease entry is retried next tick
+        if (jobsById.has(id)) indexJob(jobsById.get(id));
+      }
+    }
+  } catch (err) {
+    fastify.log.warn({ err: err.message }, 'reaper: scan error');
+  }
+
+  try {
+    await expireUploads();
+  } catch (err) {
+    fastify.log.warn({ err: err.message }, 'reaper: upload scan error');
+  }
+}
+
+/* ─── start ─── */
+
+if (!parseRetentionPolicy()) throw new Error('Invalid retention config (RETENTION_*_DAYS, RETENTION_MODE, BLOB_GC_AFTER_DAYS)');
+
+await ensureDirs();
+await loadLastSeq();
+await loadJobIndex();
+await loadWorkers();
+await loadPresence();
+await loadTokens();
+await loadBlobUsage();
+await sweepBlobTmp();
+await loadWebhooks();
+await loadDeliveries();
 
 const reaperTimer = setInterval(runReaper, REAPER_INTERVAL_MS);
 fastify.addHook('onClose', () => clearInterval(reaperTimer));
 
-// Run reaper once at startup
+const schedulerTimer = setInterval(runScheduler, SCHEDULER_INTERVAL_MS);
+fastify.addHook('onClose', () => clearInterval(schedulerTimer));
+
+const webhookTimer = setInterval(runWebhookQueue, WEBHOOK_INTERVAL_MS);
+fastify.addHook('onClose', () => clearInterval(webhookTimer));
+
+const retentionTimer = setInterval(() => runRetention().catch(err => fastify.log.warn({ err: err.message }, 'retention: error')), RETENTION_INTERVAL_MS);
+fastify.addHook('onClose', () => clearInterval(retentionTimer));
+
+// Run reaper, scheduler and webhook queue once at startup
 runReaper();
+runScheduler();
+runWebhookQueue();
 
 await fastify.listen({ port: PORT, host: HOST });
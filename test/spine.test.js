@@ -9,7 +9,9 @@
  */
 
 import { spawn } from 'node:child_process';
-import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import crypto from 'node:crypto';
+import { createServer } from 'node:http';
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
 import { tmpdir } from 'node:os';
 import path from 'node:path';
 import { SpineClient } from '../src/client.js';
@@ -19,6 +21,7 @@ const BASE = `http://127.0.0.1:${PORT}`;
 
 const HEAD_TOKEN  = 'test-head-token';
 const HEAD_TOKEN2 = 'test-head-token-rotated';
+const HEAD_TOKEN_SPT = 'spt_static.looks-like-a-store-token';
 const LC_TOKEN    = 'test-lc-token';
 const RC_TOKEN    = 'test-rc-token';
 
@@ -50,8 +53,8 @@ name: test-skill
 This is a test skill markdown file.
 `;
 
-async function startServer() {
-  tmpDir = await mkdtemp(path.join(tmpdir(), 'spine-test-'));
+async function startServer({ reuseDataDir = false } = {}) {
+  if (!reuseDataDir) tmpDir = await mkdtemp(path.join(tmpdir(), 'spine-test-'));
   const skillMdPath = path.join(tmpDir, 'SKILL.md');
   await writeFile(skillMdPath, SKILL_MD_CONTENT, 'utf8');
   const env = {
@@ -61,12 +64,19 @@ async function startServer() {
     SPINE_DATA_DIR: tmpDir,
     SPINE_SKILL_MD_PATH: skillMdPath,
     HEAD_TOKEN,
-    HEAD_TOKENS: `${HEAD_TOKEN},${HEAD_TOKEN2}`,
+    HEAD_TOKENS: `${HEAD_TOKEN},${HEAD_TOKEN2},${HEAD_TOKEN_SPT}`,
     LEFT_CLAW_TOKEN: LC_TOKEN,
     RIGHT_CLAW_TOKEN: RC_TOKEN,
     LEASE_SECONDS: '3',           // short lease for testing expiry reaper
     REAPER_INTERVAL_MS: '1000',
     DEFAULT_MAX_ATTEMPTS: '3',
+    PRIORITY_AGING_SECONDS: '2',  // fast aging so the starvation guard is testable
+    SCHEDULER_INTERVAL_MS: '500',
+    SCHEDULE_MISFIRE_GRACE_SECONDS: '5',
+    WORKER_OFFLINE_SECONDS: '2',  // shorter than the lease so early reclaim is observable
+    WEBHOOK_INTERVAL_MS: '300',
+    WEBHOOK_RETRY_BASE_SECONDS: '1',
+    BLOB_MAX_BYTES: '65536',
   };
   server = spawn('node', ['src/server.js'], { cwd: path.resolve('.'), env, stdio: 'pipe' });
   server.stderr.on('data', () => {});  // drain
@@ -89,6 +99,14 @@ async function stopServer() {
   if (tmpDir) await rm(tmpDir, { recursive: true, force: true });
 }
 
+/** Restarts the server process on the same data dir. */
+async function restartServer() {
+  const exited = new Promise(r => server.once('exit', r));
+  server.kill('SIGTERM');
+  await exited;
+  await startServer({ reuseDataDir: true });
+}
+
 /* ─── tests ─── */
 
 async function testHealth() {
@@ -304,8 +322,1395 @@ async function testAnyTarget() {
   assertEq(comp.json.status, 'done', 'completed by right claw');
 }
 
+async function testClaimNext() {
+  console.log('\n--- claim-next ---');
+  const a = await head.createJob({ target: 'right-claw', spec: 'first', meta: { repo: 'alpha' } });
+  const b = await head.createJob({ target: 'right-claw', spec: 'second', meta: { repo: 'beta' } });
+
+  // meta filter skips the older job
+  const r1 = await rc.claimNext({ meta: { repo: 'beta' } });
+  assertEq(r1.status, 200, 'claim-next with meta filter ok');
+  assertEq(r1.json.id, b.json.id, 'meta filter picks matching job');
+  assertEq(r1.json.status, 'running', 'claimed job is running');
+
+  const r2 = await rc.claimNext();
+  assertEq(r2.json.id, a.json.id, 'claim-next picks oldest eligible job');
+  assertEq(r2.json.claimedBy, 'right-claw', 'claimedBy set');
+
+  // left claw cannot see right-claw jobs; nothing left for it
+  const r3 = await lc.claimNext({ meta: { repo: 'alpha' } });
+  assertEq(r3.status, 204, 'no eligible job → 204');
+
+  const r4 = await head.claimNext();
+  assertEq(r4.status, 401, 'head cannot claim-next');
+
+  await rc.completeJob(a.json.id, { result: 'ok' });
+  await rc.completeJob(b.json.id, { result: 'ok' });
+}
+
+async function testLongPoll() {
+  console.log('\n--- long-poll ---');
+  // claim-next blocks until a matching job shows up
+  const started = Date.now();
+  const pending = lc.claimNext({ meta: { lp: 'yes' } }, { waitMs: 5000 });
+  await sleep(300);
+  const cr = await head.createJob({ target: 'left-claw', spec: 'wake me', meta: { lp: 'yes' } });
+  const r = await pending;
+  assertEq(r.status, 200, 'waiting claim-next returns a job');
+  assertEq(r.json.id, cr.json.id, 'waiting claim-next gets the new job');
+  assert(Date.now() - started < 4000, 'claim-next woke before the wait expired');
+
+  // claim-next gives up after waitMs with 204
+  const idle = await lc.claimNext({ meta: { lp: 'never' } }, { waitMs: 300 });
+  assertEq(idle.status, 204, 'claim-next wait times out with 204');
+
+  // GET /jobs/:id?waitMs holds until the status changes
+  const watch = head.getJob(cr.json.id, { waitMs: 5000 });
+  await sleep(300);
+  await lc.completeJob(cr.json.id, { result: 'ok' });
+  const w = await watch;
+  assertEq(w.status, 200, 'waiting get returns 200');
+  assertEq(w.json.status, 'done', 'waiting get sees the new status');
+
+  // terminal jobs return immediately
+  const t0 = Date.now();
+  const done = await head.getJob(cr.json.id, { waitMs: 5000 });
+  assertEq(done.json.status, 'done', 'terminal job returned');
+  assert(Date.now() - t0 < 1000, 'terminal job does not wait');
+}
+
+/** Subscribes and collects events until `until(events)` is true or `ms` elapses. */
+async function collectEvents(client, query, opts, until, ms = 3000) {
+  const events = [];
+  const ac = new AbortController();
+  const timer = setTimeout(() => ac.abort(), ms);
+  try {
+    for await (const ev of client.subscribe(query, { ...opts, signal: ac.signal })) {
+      events.push(ev);
+      if (until(events)) break;
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+  return events;
+}
+
+async function testEventStream() {
+  console.log('\n--- SSE event stream ---');
+  // Live: head sees the whole lifecycle of a new job
+  const headCollect = collectEvents(head, { types: 'job.created,job.claimed,job.completed' }, {},
+    evs => evs.some(e => e.event === 'job.completed'));
+  await sleep(300);
+  const cr = await head.createJob({ target: 'right-claw', spec: 'stream me' });
+  await rc.claimJob(cr.json.id);
+  await rc.completeJob(cr.json.id, { result: 'ok' });
+  const evs = (await headCollect).filter(e => e.data.jobId === cr.json.id);
+  assertEq(evs.map(e => e.event).join(','), 'job.created,job.claimed,job.completed', 'head receives lifecycle events in order');
+  assert(evs.every((e, i) => i === 0 || Number(e.id) > Number(evs[i - 1].id)), 'event ids are increasing sequence numbers');
+
+  // Resume: replay everything after the created event
+  const resumed = await collectEvents(head, { types: 'job.claimed,job.completed' }, { lastEventId: evs[0].id },
+    got => got.some(e => e.data.jobId === cr.json.id && e.event === 'job.completed'));
+  const replayed = resumed.filter(e => e.data.jobId === cr.json.id).map(e => e.event);
+  assertEq(replayed.join(','), 'job.claimed,job.completed', 'Last-Event-ID resumes after the given sequence');
+
+  // Visibility: left claw does not see right-claw job events
+  const own = await head.createJob({ target: 'left-claw', spec: 'visible to lc', meta: { sse: true } });
+  const lcEvents = await collectEvents(lc, null, { lastEventId: evs[0].id - 1 },
+    got => got.some(e => e.data.jobId === own.json.id));
+  assert(lcEvents.some(e => e.data.jobId === own.json.id), 'claw sees events for its own jobs');
+  assert(!lcEvents.some(e => e.data.jobId === cr.json.id), 'claw does not see events for jobs it cannot access');
+  await lc.claimJob(own.json.id);
+  await lc.completeJob(own.json.id, { result: 'ok' });
+}
+
+async function testEventOrdering() {
+  console.log('\n--- event ordering under concurrency ---');
+  const jobs = [];
+  for (let i = 0; i < 20; i++) jobs.push((await head.createJob({ target: 'right-claw', spec: `burst ${i}` })).json.id);
+  const marker = `burst-${Date.now()}`;
+  const total = jobs.length * 5;
+  const isBurst = e => e.event === 'job.comment' && e.data.text?.startsWith(marker);
+  const collecting = collectEvents(head, null, {}, got => got.filter(isBurst).length >= total, 10000);
+  await sleep(300);
+
+  await Promise.all(jobs.flatMap(id => [0, 1, 2, 3, 4].map(n => head.comment(id, { text: `${marker} ${n}` }))));
+  const got = await collecting;
+  assertEq(got.filter(isBurst).length, total, 'every concurrent event reaches the live stream');
+  const ids = got.map(e => Number(e.id));
+  assert(ids.every((id, i) => i === 0 || id === ids[i - 1] + 1), 'SSE ids have no gaps');
+
+  const seqs = (await readFile(path.join(tmpDir, 'stream.jsonl'), 'utf8')).trim().split('\n').map(l => JSON.parse(l).seq);
+  assert(seqs.every((seq, i) => i === 0 || seq > seqs[i - 1]), 'stream.jsonl is written in seq order');
+  for (const id of jobs) await head.cancelJob(id);
+}
+
+async function testJobEvents() {
+  console.log('\n--- job event history ---');
+  const cr = await head.createJob({ target: 'right-claw', spec: 'audit me' });
+  const id = cr.json.id;
+  await head.comment(id, { text: 'first note' });
+  await rc.claimJob(id);
+  await rc.heartbeat(id, { progress: '10%' });
+  await rc.completeJob(id, { result: { url: 'https://example.test' } });
+
+  const all = await head.jobEvents(id);
+  assertEq(all.status, 200, 'events endpoint ok');
+  assertEq(all.json.events.map(e => e.type).join(','), 'job.created,job.comment,job.claimed,job.heartbeat,job.completed', 'full history in order');
+  assertEq(all.json.events[1].text, 'first note', 'comment event carries text');
+  assert(all.json.events[4].result.includes('example.test'), 'completed event carries result summary');
+  assertEq(all.json.nextSince, null, 'no further page');
+
+  const page1 = await head.jobEvents(id, { limit: 2 });
+  assertEq(page1.json.events.length, 2, 'limit respected');
+  const page2 = await head.jobEvents(id, { since: page1.json.nextSince, limit: 2 });
+  assertEq(page2.json.events[0].type, 'job.claimed', 'since continues after previous page');
+
+  const filtered = await head.jobEvents(id, { type: 'job.heartbeat,job.completed' });
+  assertEq(filtered.json.events.length, 2, 'type filter');
+
+  const denied = await lc.jobEvents(id);
+  assertEq(denied.status, 403, 'claw without access → 403');
+  const missing = await head.jobEvents('nonexistent123');
+  assertEq(missing.status, 404, 'unknown job → 404');
+}
+
+async function testPriority() {
+  console.log('\n--- priority ---');
+  const meta = { prio: 'run' };
+  const low    = await head.createJob({ target: 'right-claw', spec: 'batch', meta });
+  const urgent = await head.createJob({ target: 'right-claw', spec: 'hotfix', meta, priority: 10 });
+  const mid1   = await head.createJob({ target: 'right-claw', spec: 'mid 1', meta, priority: 5 });
+  const mid2   = await head.createJob({ target: 'right-claw', spec: 'mid 2', meta, priority: 5 });
+  assertEq(urgent.json.priority, 10, 'priority stored');
+  assertEq(low.json.priority, 0, 'priority defaults to 0');
+
+  const bad = await head.createJob({ target: 'right-claw', priority: 'high' });
+  assertEq(bad.status, 400, 'non-integer priority → 400');
+
+  const list = await head.listJobs({ status: 'queued', target: 'right-claw' });
+  const order = list.json.jobs.filter(j => j.meta?.prio === 'run').map(j => j.id);
+  assertEq(order.join(','), [urgent, mid1, mid2, low].map(r => r.json.id).join(','), 'listing sorted by priority, FIFO within level');
+
+  // Bump the batch job above everything else
+  const bump = await head.setPriority(low.json.id, 20);
+  assertEq(bump.status, 200, 'head can change priority');
+  assertEq(bump.json.priority, 20, 'priority updated');
+  const lcBump = await lc.setPriority(low.json.id, 30);
+  assertEq(lcBump.status, 401, 'claws cannot change priority');
+
+  const claimed = [];
+  for (let i = 0; i < 4; i++) claimed.push((await rc.claimNext({ meta })).json.id);
+  assertEq(claimed.join(','), [low, urgent, mid1, mid2].map(r => r.json.id).join(','), 'claim-next honours priority');
+
+  const notQueued = await head.setPriority(low.json.id, 1);
+  assertEq(notQueued.status, 409, 'cannot change priority of running job');
+  for (const id of claimed) await rc.completeJob(id, { result: 'ok' });
+
+  // Aging: a job that waited one aging period ties with a fresh priority-1 job and wins on FIFO
+  const aged = await head.createJob({ target: 'right-claw', spec: 'patient', meta: { prio: 'aging' } });
+  await sleep(2100);
+  await head.createJob({ target: 'right-claw', spec: 'fresh', meta: { prio: 'aging' }, priority: 1 });
+  const first = await rc.claimNext({ meta: { prio: 'aging' } });
+  assertEq(first.json.id, aged.json.id, 'aged low-priority job is not starved');
+  await rc.completeJob(first.json.id, { result: 'ok' });
+  const second = await rc.claimNext({ meta: { prio: 'aging' } });
+  await rc.completeJob(second.json.id, { result: 'ok' });
+
+  // Time spent backing off does not count as waiting
+  const retried = await head.createJob({ target: 'right-claw', spec: 'backing off', meta: { prio: 'backoff' }, backoff: { type: 'fixed', baseMs: 2100 } });
+  await rc.claimJob(retried.json.id);
+  await rc.failJob(retried.json.id, { error: 'flaky' });
+  await sleep(2300);
+  const fresh = await head.createJob({ target: 'right-claw', spec: 'fresh', meta: { prio: 'backoff' }, priority: 1 });
+  const next = await rc.claimNext({ meta: { prio: 'backoff' } });
+  assertEq(next.json.id, fresh.json.id, 'aging counts from notBefore, not createdAt');
+  await rc.completeJob(next.json.id, { result: 'ok' });
+  const after = await rc.claimNext({ meta: { prio: 'backoff' } });
+  await rc.completeJob(after.json.id, { result: 'ok' });
+}
+
+async function testScheduled() {
+  console.log('\n--- scheduled jobs ---');
+  const runAt = new Date(Date.now() + 2000).toISOString();
+  const cr = await head.createJob({ target: 'right-claw', spec: 'later', runAt, meta: { sched: true } });
+  assertEq(cr.status, 201, 'scheduled job created');
+  assertEq(cr.json.status, 'scheduled', 'future runAt → scheduled');
+  assertEq(cr.json.runAt, runAt, 'runAt stored');
+
+  const early = await rc.claimJob(cr.json.id);
+  assertEq(early.status, 409, 'claim before runAt → 409');
+  assertEq(early.json.error, 'not_due', 'error is not_due');
+  const none = await rc.claimNext({ meta: { sched: true } });
+  assertEq(none.status, 204, 'claim-next skips jobs that are not due');
+
+  const bad = await head.createJob({ target: 'right-claw', runAt: 'not a date' });
+  assertEq(bad.status, 400, 'invalid runAt → 400');
+  for (const runAt of [true, {}, [Date.now()]]) {
+    const r = await head.createJob({ target: 'right-claw', runAt });
+    assertEq(r.json.error, 'invalid_run_at', `runAt ${JSON.stringify(runAt)} rejected`);
+  }
+  const both = await head.createJob({ target: 'right-claw', runAt, delaySeconds: 5 });
+  assertEq(both.status, 400, 'runAt together with delaySeconds → 400');
+  assertEq(both.json.error, 'invalid_run_at', 'error is invalid_run_at');
+  const past = await head.createJob({ target: 'right-claw', spec: 'now', delaySeconds: 0 });
+  assertEq(past.json.status, 'queued', 'runAt already due → queued');
+  await rc.claimJob(past.json.id);
+  await rc.completeJob(past.json.id, { result: 'ok' });
+
+  // Reaper (1s interval) promotes the job once due
+  console.log('    (waiting ~3s for runAt + reaper...)');
+  await sleep(3200);
+  const g = await head.getJob(cr.json.id);
+  assertEq(g.json.status, 'queued', 'reaper promoted due job to queued');
+  const c = await rc.claimNext({ meta: { sched: true } });
+  assertEq(c.json.id, cr.json.id, 'due job is claimable');
+  await rc.completeJob(cr.json.id, { result: 'ok' });
+}
+
+async function testBackoff() {
+  console.log('\n--- retry backoff ---');
+  const bad = await head.createJob({ target: 'right-claw', backoff: { type: 'linear' } });
+  assertEq(bad.status, 400, 'unknown backoff type → 400');
+
+  const meta = { backoff: true };
+  const cr = await head.createJob({ target: 'right-claw', spec: 'flaky', meta, maxAttempts: 5,
+    backoff: { type: 'exponential', baseMs: 400, maxMs: 1000 } });
+  assertEq(cr.json.backoff.type, 'exponential', 'backoff policy stored');
+  const id = cr.json.id;
+
+  await rc.claimJob(id);
+  const f1 = await rc.failJob(id, { error: 'transient' });
+  assertEq(f1.json.status, 'queued', 'requeued after failure');
+  const delay1 = new Date(f1.json.notBefore).getTime() - Date.now();
+  assert(delay1 > 200 && delay1 <= 400, `first retry delayed ~baseMs (${delay1}ms)`);
+
+  const early = await rc.claimJob(id);
+  assertEq(early.status, 409, 'claim during backoff → 409');
+  assertEq(early.json.error, 'backing_off', 'error is backing_off');
+  const g = await head.getJob(id);
+  assertEq(g.json.notBefore, f1.json.notBefore, 'notBefore surfaced on GET /jobs/:id');
+
+  // Long-poll claim-next wakes when the backoff expires
+  const c2 = await rc.claimNext({ meta }, { waitMs: 3000 });
+  assertEq(c2.json.id, id, 'claim-next waits out the backoff');
+  assertEq(c2.json.notBefore, null, 'notBefore cleared on claim');
+
+  const f2 = await rc.failJob(id, { error: 'transient' });
+  const delay2 = new Date(f2.json.notBefore).getTime() - Date.now();
+  assert(delay2 > 600 && delay2 <= 800, `second retry delay doubles (${delay2}ms)`);
+  await sleep(850);
+  await rc.claimJob(id);
+  const f3 = await rc.failJob(id, { error: 'transient' });
+  const delay3 = new Date(f3.json.notBefore).getTime() - Date.now();
+  assert(delay3 > 800 && delay3 <= 1000, `delay capped at maxMs (${delay3}ms)`);
+  await sleep(1050);
+  await rc.claimJob(id);
+  await rc.completeJob(id, { result: 'ok' });
+}
+
+/** Rewinds a schedule's nextRunAt on disk, as if the server had been down since then. */
+async function rewindSchedule(id, nextRunAt) {
+  const p = path.join(tmpDir, 'schedules', `${id}.json`);
+  const sched = JSON.parse(await readFile(p, 'utf8'));
+  sched.nextRunAt = nextRunAt;
+  await writeFile(p, JSON.stringify(sched), 'utf8');
+}
+
+async function scheduledJobs(scheduleId) {
+  const list = await head.listJobs();
+  return list.json.jobs.filter(j => j.meta?.scheduleId === scheduleId);
+}
+
+async function testSchedules() {
+  console.log('\n--- schedules ---');
+  const badCron = await head.createSchedule({ cron: '61 * * * *' });
+  assertEq(badCron.status, 400, 'invalid cron → 400');
+  const badTz = await head.createSchedule({ cron: '0 2 * * *', timezone: 'Mars/Olympus' });
+  assertEq(badTz.status, 400, 'invalid timezone → 400');
+  const denied = await lc.createSchedule({ cron: '0 2 * * *' });
+  assertEq(denied.status, 401, 'claws cannot manage schedules');
+
+  const template = { target: 'right-claw', spec: 'nightly audit', meta: { kind: 'audit' } };
+  const cr = await head.createSchedule({ name: 'audit', cron: '0 * * * *', timezone: 'Europe/Berlin', misfirePolicy: 'fire_all', template });
+  assertEq(cr.status, 201, 'schedule created');
+  const next = new Date(cr.json.nextRunAt);
+  assert(next.getTime() > Date.now() && next.getUTCMinutes() === 0, 'nextRunAt is the next full hour');
+  const id = cr.json.id;
+
+  // Catch-up: pretend the server missed the last three hourly slots
+  const hour = 3600_000;
+  const lastSlot = Math.floor(Date.now() / hour) * hour;
+  await rewindSchedule(id, new Date(lastSlot - 2 * hour).toISOString());
+  await sleep(1200);
+  let jobs = await scheduledJobs(id);
+  assertEq(jobs.length, 3, 'fire_all materialises every missed slot');
+  assertEq(jobs[0].spec, 'nightly audit', 'job built from template');
+  assertEq(jobs[0].meta.kind, 'audit', 'template meta kept');
+  assertEq(jobs[0].createdBy, 'schedule', 'createdBy schedule');
+
+  // Replaying the same slots (e.g. crash before nextRunAt was saved) does not double-fire
+  await rewindSchedule(id, new Date(lastSlot - 2 * hour).toISOString());
+  await sleep(1200);
+  jobs = await scheduledJobs(id);
+  assertEq(jobs.length, 3, 'already-fired slots are not fired again');
+
+  // skip: missed slots beyond the grace window are dropped
+  const upd = await head.updateSchedule(id, { misfirePolicy: 'skip' });
+  assertEq(upd.json.misfirePolicy, 'skip', 'schedule updated');
+  await rewindSchedule(id, new Date(lastSlot - 5 * hour).toISOString());
+  await sleep(1200);
+  const afterSkip = (await scheduledJobs(id)).length;
+  const g = await head.getSchedule(id);
+  assert(new Date(g.json.nextRunAt).getTime() > Date.now(), 'nextRunAt advanced past now');
+  assert(afterSkip === 3 || Date.now() - lastSlot <= 5000, 'skip policy drops missed slots');
+
+  // fire_once: a single job for the latest missed slot
+  const once = await head.createSchedule({ cron: '0 * * * *', misfirePolicy: 'fire_once', template });
+  await rewindSchedule(once.json.id, new Date(lastSlot - 3 * hour).toISOString());
+  await sleep(1200);
+  const onceJobs = await scheduledJobs(once.json.id);
+  assertEq(onceJobs.length, 1, 'fire_once fires a single catch-up job');
+  assertEq(onceJobs[0]?.meta.scheduledFor, new Date(lastSlot).toISOString(), 'catch-up job is for the latest slot');
+  jobs.push(...onceJobs);
+  await head.deleteSchedule(once.json.id);
+
+  // Deleting mid catch-up: the scheduler must not write the schedule back
+  const racy = await head.createSchedule({ cron: '0 * * * *', misfirePolicy: 'fire_all', template });
+  await rewindSchedule(racy.json.id, new Date(lastSlot - 40 * hour).toISOString());
+  await waitFor(async () => (await scheduledJobs(racy.json.id)).length > 0, 3000);
+  assertEq((await head.deleteSchedule(racy.json.id)).status, 200, 'schedule deleted during catch-up');
+  await sleep(1200);
+  assertEq((await head.getSchedule(racy.json.id)).status, 404, 'deleted schedule not resurrected by the scheduler');
+  jobs.push(...await scheduledJobs(racy.json.id));
+
+  await head.updateSchedule(id, { cron: '30 * * * *' });
+  const listed = await head.listSchedules();
+  assert(listed.json.schedules.some(x => x.id === id && x.cron === '30 * * * *'), 'schedule listed with new cron');
+
+  const del = await head.deleteSchedule(id);
+  assertEq(del.status, 200, 'schedule deleted');
+  const gone = await head.getSchedule(id);
+  assertEq(gone.status, 404, 'deleted schedule → 404');
+  for (const j of jobs) {
+    const c = await rc.claimJob(j.id);
+    if (c.status === 200) await rc.completeJob(j.id, { result: 'ok' });
+  }
+}
+
+async function testDependencies() {
+  console.log('\n--- dependencies ---');
+  const unknown = await head.createJob({ target: 'right-claw', dependsOn: ['nonexistent123'] });
+  assertEq(unknown.status, 400, 'unknown parent → 400');
+  for (const dependsOn of [5, {}, 'parent', [3]]) {
+    const bad = await head.createJob({ target: 'right-claw', dependsOn });
+    assertEq(bad.status, 400, `dependsOn ${JSON.stringify(dependsOn)} → 400`);
+    assertEq(bad.json.error, 'invalid_depends_on', `dependsOn ${JSON.stringify(dependsOn)} → invalid_depends_on`);
+  }
+
+  const build = await head.createJob({ target: 'right-claw', spec: 'build', meta: { dag: 1 } });
+  const test  = await head.createJob({ target: 'right-claw', spec: 'test', meta: { dag: 1 }, dependsOn: [build.json.id] });
+  assertEq(test.json.status, 'blocked', 'child starts blocked');
+  const early = await rc.claimJob(test.json.id);
+  assertEq(early.status, 409, 'blocked job cannot be claimed');
+  assertEq(early.json.error, 'blocked', 'error is blocked');
+
+  await rc.claimJob(build.json.id);
+  await rc.completeJob(build.json.id, { result: 'built' });
+  await sleep(200);
+  const unblocked = await head.getJob(test.json.id);
+  assertEq(unblocked.json.status, 'queued', 'child queued once parent is done');
+
+  // Parent failure cancels the child by default, and "ignore" lets it run anyway
+  const flaky = await head.createJob({ target: 'right-claw', spec: 'flaky', maxAttempts: 1 });
+  const strict  = await head.createJob({ target: 'right-claw', dependsOn: [flaky.json.id] });
+  const lenient = await head.createJob({ target: 'right-claw', dependsOn: [flaky.json.id], onParentFailure: 'ignore' });
+  await rc.claimJob(flaky.json.id);
+  await rc.failJob(flaky.json.id, { error: 'boom' });
+  await sleep(200);
+  assertEq((await head.getJob(strict.json.id)).json.status, 'cancelled', 'child cancelled when parent dies');
+  assertEq((await head.getJob(strict.json.id)).json.cancelReason, 'parent_dead', 'cancel reason recorded');
+  assertEq((await head.getJob(lenient.json.id)).json.status, 'queued', 'onParentFailure=ignore unblocks');
+
+  // Depending on an already-done job starts queued
+  const late = await head.createJob({ target: 'right-claw', dependsOn: [build.json.id] });
+  assertEq(late.json.status, 'queued', 'parent already done → queued immediately');
+
+  const graph = await head.jobGraph(test.json.id);
+  assertEq(graph.status, 200, 'graph ok');
+  assert(graph.json.nodes.some(n => n.id === build.json.id), 'graph includes ancestor');
+  assert(graph.json.nodes.some(n => n.id === late.json.id), 'graph includes sibling via shared parent');
+  assert(graph.json.edges.some(e => e.from === build.json.id && e.to === test.json.id), 'graph has parent → child edge');
+
+  // Claws only see the jobs they can access; the rest are redacted
+  const foreign = await head.createJob({ target: 'left-claw', spec: 'elsewhere', dependsOn: [build.json.id] });
+  const clawGraph = await rc.jobGraph(test.json.id);
+  assertEq(clawGraph.status, 200, 'claw graph ok');
+  const hidden = clawGraph.json.nodes.find(n => n.id === foreign.json.id);
+  assertEq(hidden?.status, 'hidden', 'inaccessible node redacted');
+  assertEq(hidden?.target, null, 'redacted node has no target');
+  assert(!clawGraph.json.edges.some(e => e.to === foreign.json.id), 'no edges into redacted node');
+  assertEq(clawGraph.json.nodes.find(n => n.id === test.json.id)?.status, 'queued', 'accessible nodes kept');
+  assertEq((await head.jobGraph(test.json.id)).json.nodes.find(n => n.id === foreign.json.id)?.target, 'left-claw', 'head sees every node');
+  await lc.claimJob(foreign.json.id);
+  await lc.completeJob(foreign.json.id, { result: 'ok' });
+
+  for (const id of [test.json.id, lenient.json.id, late.json.id]) {
+    await rc.claimJob(id);
+    await rc.completeJob(id, { result: 'ok' });
+  }
+}
+
+async function testWorkflows() {
+  console.log('\n--- workflows ---');
+  const cycle = await head.createWorkflow({ jobs: [
+    { key: 'a', target: 'right-claw', dependsOn: ['b'] },
+    { key: 'b', target: 'right-claw', dependsOn: ['a'] },
+  ] });
+  assertEq(cycle.status, 400, 'cycle rejected');
+  assertEq(cycle.json.error, 'dependency_cycle', 'error is dependency_cycle');
+
+  const wf = await head.createWorkflow({ jobs: [
+    { key: 'deploy', target: 'right-claw', spec: 'deploy', dependsOn: ['test'] },
+    { key: 'build', target: 'right-claw', spec: 'build' },
+    { key: 'test', target: 'right-claw', spec: 'test', dependsOn: ['build'] },
+  ] });
+  assertEq(wf.status, 201, 'workflow created');
+  const ids = wf.json.ids;
+  assertEq(wf.json.jobs.map(j => j.spec).join(','), 'build,test,deploy', 'jobs written in dependency order');
+  assert(wf.json.jobs.every(j => j.workflowId === wf.json.workflowId), 'jobs tagged with workflowId');
+  assertEq(wf.json.jobs[2].dependsOn[0], ids.test, 'keys resolved to job ids');
+
+  for (const key of ['build', 'test', 'deploy']) {
+    await sleep(200);
+    const c = await rc.claimJob(ids[key]);
+    assertEq(c.status, 200, `${key} claimable in order`);
+    await rc.completeJob(ids[key], { result: key });
+  }
+}
+
+async function testInputs() {
+  console.log('\n--- job inputs ---');
+  const bad = await head.createJob({ target: 'right-claw', inputs: { x: { fromJob: 'a', value: 1 } } });
+  assertEq(bad.status, 400, 'ambiguous input → 400');
+
+  const wf = await head.createWorkflow({ jobs: [
+    { key: 'build', target: 'right-claw', spec: 'build' },
+    { key: 'report', target: 'right-claw', spec: 'report', inputs: {
+      artifact: { fromJob: 'build', path: 'artifacts[0].url' },
+      whole:    { fromJob: 'build' },
+      mode:     { value: 'full' },
+      logs:     { blob: 'blob123' },
+    } },
+  ] });
+  assertEq(wf.status, 201, 'workflow with inputs created');
+  const { build, report } = wf.json.ids;
+  const child = wf.json.jobs.find(j => j.id === report);
+  assertEq(child.dependsOn[0], build, 'fromJob input implies dependsOn');
+  assertEq(child.status, 'blocked', 'consumer blocked until producer finishes');
+
+  const before = await head.getJob(report);
+  assertEq(before.json.resolvedInputs.mode, 'full', 'literal input resolved immediately');
+  assertEq(before.json.resolvedInputs.logs.blobId, 'blob123', 'blob input resolved to blob id');
+  assertEq(before.json.pendingInputs.join(','), 'artifact,whole', 'job inputs pending until producer is done');
+
+  const result = { artifacts: [{ url: 'https://ci.test/a.zip' }], ok: true };
+  await rc.claimJob(build);
+  await rc.completeJob(build, { result });
+  await sleep(200);
+
+  const c = await rc.claimJob(report);
+  assertEq(c.status, 200, 'consumer claimable');
+  assertEq(c.json.resolvedInputs.artifact, 'https://ci.test/a.zip', 'path into parent result resolved on claim');
+  assertEq(JSON.stringify(c.json.resolvedInputs.whole), JSON.stringify(result), 'whole parent result resolved');
+  assertEq(c.json.pendingInputs.length, 0, 'nothing pending');
+  await rc.completeJob(report, { result: 'ok' });
+}
+
+async function testWorkerRegistry() {
+  console.log('\n--- worker registry ---');
+  const list = await head.listWorkers();
+  assertEq(list.status, 200, 'list workers ok');
+  assert(['left-claw', 'right-claw'].every(n => list.json.workers.some(w => w.name === n && w.source === 'env')), 'env claws seeded');
+
+  const bad = await head.registerWorker({ name: 'any' });
+  assertEq(bad.status, 400, 'reserved name rejected');
+  const dup = await head.registerWorker({ name: 'left-claw' });
+  assertEq(dup.status, 409, 'existing name → 409');
+  const denied = await lc.registerWorker({ name: 'sneaky' });
+  assertEq(denied.status, 401, 'claws cannot register workers');
+
+  const reg = await head.registerWorker({ name: 'mac-mini', pools: ['builders'] });
+  assertEq(reg.status, 201, 'worker registered');
+  assert(typeof reg.json.token === 'string' && reg.json.token.length > 20, 'token returned once');
+  assert(!('tokenHashes' in reg.json.worker), 'token hashes not exposed');
+  const mini = new SpineClient(BASE, reg.json.token);
+
+  // Target by pool, by name, and any
+  const byPool = await head.createJob({ target: 'builders', spec: 'pool job' });
+  const byName = await head.createJob({ target: 'mac-mini', spec: 'named job' });
+  assertEq((await lc.claimJob(byPool.json.id)).status, 403, 'other worker cannot claim pool job');
+  const c1 = await mini.claimJob(byPool.json.id);
+  assertEq(c1.status, 200, 'pool member claims pool job');
+  assertEq(c1.json.claimedBy, 'mac-mini', 'claimedBy is the worker name');
+  const c2 = await mini.claimNext();
+  assertEq(c2.json.id, byName.json.id, 'worker claims job targeted at its name');
+  await mini.completeJob(byPool.json.id, { result: 'ok' });
+  await mini.completeJob(byName.json.id, { result: 'ok' });
+
+  const seeded = await head.updateWorker('left-claw', { pools: ['x'] });
+  assertEq(seeded.status, 409, 'env workers are read-only');
+  const upd = await head.updateWorker('mac-mini', { pools: ['builders', 'deployers'] });
+  assertEq(upd.json.worker.pools.join(','), 'builders,deployers', 'pools updated');
+
+  const del = await head.deleteWorker('mac-mini');
+  assertEq(del.status, 200, 'worker deleted');
+  assertEq((await mini.listJobs()).status, 401, 'deleted worker token rejected');
+}
+
+async function testLabels() {
+  console.log('\n--- capability labels ---');
+  const bad = await head.createJob({ target: 'any', spec: 'x', requires: 'docker' });
+  assertEq(bad.status, 400, 'non-array requires rejected');
+
+  const reg = await head.registerWorker({ name: 'gpu-box', labels: ['node20'] });
+  assertEq(reg.json.worker.labels.join(','), 'node20', 'static labels stored');
+  const gpu = new SpineClient(BASE, reg.json.token);
+
+  const job = await head.createJob({ target: 'any', spec: 'needs docker', requires: ['node20', 'docker'], meta: { suite: 'labels' } });
+  assertEq(job.json.requires.join(','), 'node20,docker', 'requires stored on job');
+
+  const denied = await gpu.claimJob(job.json.id);
+  assertEq(denied.status, 403, 'claim without required labels → 403');
+  assertEq(denied.json.error, 'missing_labels', 'error is missing_labels');
+  assertEq(denied.json.missing.join(','), 'docker', 'missing labels reported');
+  const idle = await gpu.claimNext({ meta: { suite: 'labels' } });
+  assertEq(idle.status, 204, 'claim-next skips unsatisfied jobs');
+  const hidden = await gpu.listJobs({ status: 'queued' });
+  assert(!hidden.json.jobs.some(j => j.id === job.json.id), 'listing hides unsatisfied jobs');
+
+  const badAdvert = await gpu.claimNext({ labels: ['bad label'] });
+  assertEq(badAdvert.status, 400, 'invalid advertised labels rejected');
+  const claimed = await gpu.claimNext({ meta: { suite: 'labels' }, labels: ['docker'] });
+  assertEq(claimed.json.id, job.json.id, 'advertised labels satisfy requires');
+  const w = (await head.listWorkers()).json.workers.find(x => x.name === 'gpu-box');
+  assertEq(w.advertisedLabels.join(','), 'docker', 'advertised labels visible to head');
+
+  const hb = await gpu.heartbeat(job.json.id, { labels: [] });
+  assertEq(hb.status, 200, 'owner heartbeats after dropping labels');
+  assertEq((await gpu.completeJob(job.json.id, { result: 'ok' })).status, 200, 'owner still completes');
+
+  const upd = await head.updateWorker('gpu-box', { labels: ['node20', 'docker'] });
+  assertEq(upd.json.worker.labels.join(','), 'node20,docker', 'labels updated via PATCH');
+  await head.deleteWorker('gpu-box');
+}
+
+async function testPresence() {
+  console.log('\n--- worker presence ---');
+  const reg = await head.registerWorker({ name: 'presence-box' });
+  const box = new SpineClient(BASE, reg.json.token);
+  const find = async () => (await head.listWorkers()).json.workers.find(w => w.name === 'presence-box');
+
+  assertEq((await find()).state, 'unknown', 'never-seen worker is unknown');
+  assertEq((await box.workerHeartbeat({ load: -1 })).status, 400, 'negative load rejected');
+  assertEq((await lc.listWorkers()).status, 401, 'fleet status is head-only');
+  const hb = await box.workerHeartbeat({ hostname: 'box.local', version: '1.2.3', load: 0.5 });
+  assertEq(hb.status, 200, 'presence heartbeat ok');
+  let w = await find();
+  assertEq(w.state, 'online', 'worker online after heartbeat');
+  assertEq(w.hostname, 'box.local', 'hostname reported');
+  assertEq(w.version, '1.2.3', 'version reported');
+
+  const j1 = await head.createJob({ target: 'presence-box', spec: 'ok' });
+  const j2 = await head.createJob({ target: 'presence-box', spec: 'bad' });
+  await box.claimJob(j1.json.id);
+  await box.completeJob(j1.json.id, { result: 'ok' });
+  await box.claimJob(j2.json.id);
+  await box.failJob(j2.json.id, { error: 'nope', requeue: false });
+  w = await find();
+  assertEq(w.completed, 1, 'completed counter');
+  assertEq(w.failed, 1, 'failed counter');
+
+  // Worker goes silent while holding a job; head keeps the lease alive, so only presence can reclaim it
+  const j3 = await head.createJob({ target: 'presence-box', spec: 'orphan' });
+  await box.claimJob(j3.json.id);
+  await box.workerHeartbeat({ hostname: 'box.local', currentJob: j3.json.id });
+  w = await find();
+  assertEq(w.currentJob, j3.json.id, 'current job reported');
+  assertEq(w.runningJobs.join(','), j3.json.id, 'running jobs listed');
+  for (let i = 0; i < 8; i++) {
+    await sleep(1000);
+    if ((await head.heartbeat(j3.json.id)).status !== 200) break;
+  }
+  const job = await head.getJob(j3.json.id);
+  assertEq(job.json.status, 'queued', 'job of offline worker requeued before lease expiry');
+  const ev = await head.jobEvents(j3.json.id, { type: 'job.expired' });
+  assertEq(ev.json.events[0]?.reason, 'worker_offline', 'expiry reason is worker_offline');
+  const offline = await head.listWorkers({ state: 'offline' });
+  assert(offline.json.workers.some(x => x.name === 'presence-box'), 'state filter lists offline worker');
+
+  // A restart must not count a busy worker as offline from its last presence heartbeat on disk
+  await box.workerHeartbeat({ hostname: 'box.local' });
+  const j4 = await head.createJob({ target: 'presence-box', spec: 'survives restart' });
+  await box.claimJob(j4.json.id);
+  for (let i = 0; i < 6; i++) {
+    await sleep(500);
+    await box.heartbeat(j4.json.id);
+  }
+  await restartServer();
+  await sleep(300);
+  assertEq((await head.getJob(j4.json.id)).json.status, 'running', 'running job of a live worker kept across restart');
+  const expired = await head.jobEvents(j4.json.id, { type: 'job.expired' });
+  assertEq(expired.json.events.length, 0, 'no worker_offline expiry after restart');
+  assertEq((await box.completeJob(j4.json.id, { result: 'ok' })).status, 200, 'holder completes after restart');
+
+  await head.deleteWorker('presence-box');
+}
+
+async function testTokens() {
+  console.log('\n--- token store ---');
+  assertEq((await head.createToken({ role: 'head', scopes: ['jobs:everything'] })).status, 400, 'unknown scope rejected');
+  assertEq((await head.createToken({ role: 'worker', worker: 'nobody' })).status, 400, 'unknown worker rejected');
+  assertEq((await lc.createToken({ role: 'head' })).status, 401, 'claws cannot mint tokens');
+
+  const ro = await head.createToken({ name: 'dashboard', role: 'head', scopes: ['jobs:read', 'workers:read'] });
+  assertEq(ro.status, 201, 'read-only token minted');
+  assert(ro.json.secret.startsWith(`spt_${ro.json.token.id}.`), 'secret embeds token id');
+  const dash = new SpineClient(BASE, ro.json.secret);
+  assertEq((await dash.listJobs()).status, 200, 'scoped token can read jobs');
+  const denied = await dash.createJob({ target: 'any', spec: 'x' });
+  assertEq(denied.status, 403, 'scoped token cannot create jobs');
+  assertEq(denied.json.error, 'insufficient_scope', 'error is insufficient_scope');
+  assertEq((await dash.createToken({ role: 'head' })).status, 403, 'scoped head token cannot mint tokens');
+  const forged = new SpineClient(BASE, `spt_${ro.json.token.id}.not-the-secret`);
+  assertEq((await forged.listJobs()).status, 401, 'wrong secret for a real id rejected');
+  assertEq((await new SpineClient(BASE, HEAD_TOKEN_SPT).listJobs()).status, 200, 'env token shaped like a store token still authenticates');
+  assertEq((await new SpineClient(BASE, 'spt_static.not-configured').listJobs()).status, 401, 'unknown spt_ token rejected');
+
+  const listed = await head.listTokens();
+  const entry = listed.json.tokens.find(t => t.id === ro.json.token.id);
+  assertEq(entry.status, 'active', 'token listed as active');
+  assert(entry.lastUsedAt, 'last use tracked');
+  assert(!('hash' in entry) && !('secret' in entry), 'list omits secrets and hashes');
+
+  const exp = await head.updateToken(ro.json.token.id, { expiresInSeconds: 0 });
+  assertEq(exp.json.token.status, 'expired', 'token expired via PATCH');
+  assertEq((await dash.listJobs()).status, 401, 'expired token rejected');
+
+  const wt = await head.createToken({ role: 'worker', worker: 'right-claw', expiresInSeconds: 3600 });
+  const claw = new SpineClient(BASE, wt.json.secret);
+  assertEq(wt.json.token.scopes.join(','), 'jobs:read,jobs:write,blobs:read,blobs:write,workers:heartbeat', 'worker default scopes');
+  assertEq((await claw.listJobs()).status, 200, 'worker store token authenticates');
+  assertEq((await claw.listWorkers()).status, 401, 'worker token still role-gated');
+  const rev = await head.revokeToken(wt.json.token.id);
+  assertEq(rev.json.token.status, 'revoked', 'token revoked');
+  assertEq((await claw.listJobs()).status, 401, 'revoked token rejected');
+  assertEq((await rc.listJobs()).status, 200, 'env token unaffected');
+
+  const reg = await head.registerWorker({ name: 'token-box' });
+  const box = new SpineClient(BASE, reg.json.token);
+  const boxTokens = await head.listTokens({ worker: 'token-box' });
+  assertEq(boxTokens.json.tokens[0]?.id, reg.json.tokenId, 'registration mints a store token');
+  await head.deleteWorker('token-box');
+  assertEq((await head.listTokens({ worker: 'token-box', status: 'revoked' })).json.tokens.length, 1, 'deleting a worker revokes its tokens');
+  assertEq((await box.listJobs()).status, 401, 'deleted worker token rejected');
+}
+
+/** Local stand-in for a webhook receiver; `/flaky` answers 500 on its first hit. */
+async function startReceiver() {
+  const received = [];
+  let flakyHits = 0;
+  const srv = createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body });
+      const fail = req.url === '/flaky' && ++flakyHits === 1;
+      res.writeHead(fail ? 500 : 200).end();
+    });
+  });
+  await new Promise(r => srv.listen(0, '127.0.0.1', r));
+  return { srv, received, url: `http://127.0.0.1:${srv.address().port}` };
+}
+
+async function waitFor(fn, ms = 5000) {
+  const deadline = Date.now() + ms;
+  while (Date.now() < deadline) {
+    if (await fn()) return true;
+    await sleep(100);
+  }
+  return false;
+}
+
+async function testWebhooks() {
+  console.log('\n--- webhooks ---');
+  const rx = await startReceiver();
+  try {
+    assertEq((await head.createWebhook({ url: 'ftp://example.com' })).status, 400, 'non-http url rejected');
+    assertEq((await lc.createWebhook({ url: rx.url })).status, 401, 'claws cannot manage webhooks');
+
+    const done = await head.createWebhook({ url: `${rx.url}/done`, events: ['job.completed'], target: 'right-claw' });
+    assertEq(done.status, 201, 'webhook created');
+    assert(done.json.secret.startsWith('whsec_'), 'secret generated and returned once');
+    assert(!('secret' in done.json.webhook), 'secret not in webhook view');
+
+    const other = await head.createJob({ target: 'left-claw', spec: 'no hook', meta: { suite: 'webhooks' } });
+    const hooked = await head.createJob({ target: 'right-claw', spec: 'hooked', meta: { suite: 'webhooks' } });
+    await lc.claimJob(other.json.id);
+    await lc.completeJob(other.json.id, { result: 'x' });
+    await rc.claimJob(hooked.json.id);
+    await rc.completeJob(hooked.json.id, { result: 'shipped' });
+
+    assert(await waitFor(() => rx.received.some(r => r.path === '/done')), 'completion delivered');
+    const hits = rx.received.filter(r => r.path === '/done');
+    assertEq(hits.length, 1, 'type and target filters applied');
+    const hit = hits[0];
+    const payload = JSON.parse(hit.body);
+    assertEq(payload.event.type, 'job.completed', 'payload carries the event');
+    assertEq(payload.job.id, hooked.json.id, 'payload carries the job');
+    assertEq(payload.job.result, 'shipped', 'job snapshot includes result');
+    const expected = crypto.createHmac('sha256', done.json.secret).update(`${hit.headers['x-spine-timestamp']}.${hit.body}`).digest('hex');
+    assertEq(hit.headers['x-spine-signature'], `sha256=${expected}`, 'HMAC signature verifies');
+
+    // Failing receiver: retried from the on-disk queue with backoff
+    const flaky = await head.createWebhook({ url: `${rx.url}/flaky`, events: ['job.created'], target: 'flaky-target' });
+    await head.createJob({ target: 'flaky-target', spec: 'retry me' });
+    assert(await waitFor(() => rx.received.filter(r => r.path === '/flaky').length >= 2), 'failed delivery retried');
+    let log = await head.webhookDeliveries(flaky.json.webhook.id);
+    assert(await waitFor(async () => {
+      log = await head.webhookDeliveries(flaky.json.webhook.id);
+      return log.json.deliveries[0]?.status === 'delivered';
+    }), 'delivery eventually delivered');
+    const d = log.json.deliveries[0];
+    assertEq(d.attempts, 2, 'delivery log records attempts');
+    assertEq(rx.received.filter(r => r.path === '/flaky')[0].headers['x-spine-delivery'], d.id, 'delivery id header');
+
+    const re = await head.redeliver(flaky.json.webhook.id, d.id);
+    assertEq(re.json.delivery.status, 'delivered', 'manual redeliver sent');
+    assertEq(rx.received.filter(r => r.path === '/flaky').length, 3, 'receiver got the redelivery');
+    assertEq((await head.redeliver(done.json.webhook.id, d.id)).status, 404, 'redeliver checks webhook ownership');
+
+    // Pending deliveries are picked up from disk at startup; old finished ones are pruned
+    const record = (id, fields) => writeFile(path.join(tmpDir, 'deliveries', `${id}.json`), JSON.stringify({
+      ...d, id, attempts: 0, lastAttemptAt: null, lastStatusCode: null, lastError: null, deliveredAt: null, ...fields,
+    }));
+    const monthAgo = new Date(Date.now() - 30 * 86_400_000).toISOString();
+    await record('queued-offline', { status: 'pending', nextAttemptAt: new Date().toISOString() });
+    await record('long-finished', { status: 'delivered', nextAttemptAt: null, createdAt: monthAgo, deliveredAt: monthAgo });
+    await restartServer();
+    assert(await waitFor(() => rx.received.some(r => r.headers['x-spine-delivery'] === 'queued-offline')), 'pending delivery from disk sent after restart');
+    assert(await waitFor(async () => {
+      const ids = (await head.webhookDeliveries(flaky.json.webhook.id)).json.deliveries.map(x => x.id);
+      return !ids.includes('long-finished');
+    }), 'finished delivery past retention pruned');
+    assert((await head.webhookDeliveries(flaky.json.webhook.id)).json.deliveries.some(x => x.id === d.id), 'recent delivery kept');
+
+    // Target filters still apply once the job itself is gone
+    const gone = await head.createWebhook({ url: `${rx.url}/gone`, events: ['job.deleted'], target: 'hook-del' });
+    const doomed = await head.createJob({ target: 'hook-del', spec: 'short-lived' });
+    await head.cancelJob(doomed.json.id);
+    await head.deleteJobs({ ids: [doomed.json.id] });
+    assert(await waitFor(() => rx.received.some(r => r.path === '/gone')), 'job.deleted delivered to a target-filtered webhook');
+    assertEq(JSON.parse(rx.received.find(r => r.path === '/gone').body).event.target, 'hook-del', 'deleted event carries the target');
+    await head.deleteWebhook(gone.json.webhook.id);
+
+    await head.deleteWebhook(done.json.webhook.id);
+    await head.deleteWebhook(flaky.json.webhook.id);
+    assertEq((await head.listWebhooks()).json.webhooks.length, 0, 'webhooks deleted');
+  } finally {
+    rx.srv.close();
+  }
+}
+
+async function testBlobs() {
+  console.log('\n--- blobs ---');
+  const up = await head.uploadBlob('hello blob world', { filename: 'greeting.txt', contentType: 'text/plain' });
+  assertEq(up.status, 201, 'blob uploaded');
+  assert(!('path' in up.json), 'server path not exposed');
+  assertEq(up.json.sha256, crypto.createHash('sha256').update('hello blob world').digest('hex'), 'sha256 digest recorded');
+  const id = up.json.id;
+
+  const full = await head.downloadBlob(id);
+  assertEq(full.status, 200, 'blob downloaded');
+  assertEq(full.data.toString(), 'hello blob world', 'download body matches');
+  assert(full.headers['content-type'].startsWith('text/plain'), 'content-type preserved');
+  const part = await head.downloadBlob(id, { range: 'bytes=6-9' });
+  assertEq(part.status, 206, 'range request → 206');
+  assertEq(part.data.toString(), 'blob', 'range body');
+  assertEq(part.headers['content-range'], 'bytes 6-9/16', 'content-range header');
+  assertEq((await head.downloadBlob(id, { range: 'bytes=99-' })).status, 416, 'unsatisfiable range → 416');
+  const headReq = await head._req({ method: 'HEAD', path: `/blobs/${id}` });
+  assertEq(headReq.headers['content-length'], '16', 'HEAD reports size');
+  assertEq((await head.blobMeta(id)).json.filename, 'greeting.txt', 'metadata endpoint');
+  assertEq((await head.downloadBlob('nope')).status, 404, 'unknown blob → 404');
+
+  // Access follows the jobs that reference the blob
+  assertEq((await lc.downloadBlob(id)).status, 403, 'unrelated worker cannot read blob');
+  const job = await head.createJob({ target: 'left-claw', spec: 'read it', inputs: { doc: { blob: id } }, meta: { suite: 'blobs' } });
+  assertEq((await lc.downloadBlob(id)).status, 200, 'worker with access to a referencing job can read');
+  const claimed = await lc.claimNext({ meta: { suite: 'blobs' } });
+  assertEq(claimed.json.resolvedInputs.doc.sha256, up.json.sha256, 'resolved blob input carries metadata');
+
+  const out = await lc.uploadBlob(Buffer.from([0, 1, 2, 3]), { filename: 'out.bin' });
+  assertEq((await rc.downloadBlob(out.json.id)).status, 403, 'other worker cannot read uploaded blob');
+  assertEq((await lc.completeJob(job.json.id, { result: 'ok', attachments: ['missing'] })).status, 400, 'unknown attachment rejected');
+  const done = await lc.completeJob(job.json.id, { result: 'ok', attachments: [out.json.id] });
+  assertEq(done.json.attachments.join(','), out.json.id, 'attachment recorded on result');
+  assertEq((await head.downloadBlob(out.json.id)).data.length, 4, 'head reads attachment');
+  assertEq((await rc.downloadBlob(out.json.id)).status, 403, 'attachment hidden from workers without the job');
+
+  // Access follows the blob → job index: once the referencing job is gone, so is the access
+  await head.deleteJobs({ ids: [job.json.id] });
+  assertEq((await lc.downloadBlob(id)).status, 403, 'access ends with the referencing job');
+}
+
+async function testBlobStorage() {
+  console.log('\n--- blob storage ---');
+  const a = await head.uploadBlob('same bytes', { filename: 'a.txt' });
+  const b = await lc.uploadBlob('same bytes', { filename: 'b.txt' });
+  assertEq(b.json.sha256, a.json.sha256, 'identical content → same digest');
+  assert(a.json.id !== b.json.id, 'each upload keeps its own id');
+  assertEq(b.json.deduplicated, true, 'second copy deduplicated');
+  assertEq((await lc.downloadBlob(b.json.id)).data.toString(), 'same bytes', 'deduplicated blob readable');
+
+  const big = await head.uploadBlob(Buffer.alloc(70000, 1), { filename: 'big.bin' });
+  assertEq(big.status, 413, 'upload over BLOB_MAX_BYTES rejected');
+  assertEq(big.json.error, 'blob_too_large', 'error is blob_too_large');
+
+  // Per-token quota
+  const qt = await head.createToken({ role: 'worker', worker: 'right-claw', quotaBytes: 100 });
+  const limited = new SpineClient(BASE, qt.json.secret);
+  assertEq((await limited.uploadBlob(Buffer.alloc(80, 2))).status, 201, 'upload within quota');
+  const over = await limited.uploadBlob(Buffer.alloc(40, 3));
+  assertEq(over.status, 413, 'upload beyond quota rejected');
+  assertEq(over.json.error, 'quota_exceeded', 'error is quota_exceeded');
+  const tok = (await head.listTokens()).json.tokens.find(t => t.id === qt.json.token.id);
+  assertEq(tok.blobBytesUsed, 80, 'token usage reported');
+  await head.revokeToken(qt.json.token.id);
+
+  // Concurrent uploads share one quota: together they cannot exceed it
+  const ct = await head.createToken({ role: 'worker', worker: 'right-claw', quotaBytes: 100 });
+  const racer = new SpineClient(BASE, ct.json.secret);
+  const raced = await Promise.all([1, 2, 3].map(n => racer.uploadBlob(Buffer.alloc(60, n))));
+  assertEq(raced.filter(r => r.status === 201).length, 1, 'only one concurrent upload fits the quota');
+  assert(raced.filter(r => r.status === 413).every(r => r.json.error === 'quota_exceeded'), 'the others → quota_exceeded');
+  assertEq((await head.listTokens()).json.tokens.find(t => t.id === ct.json.token.id).blobBytesUsed, 60, 'usage stays within quota');
+  await head.revokeToken(ct.json.token.id);
+
+  // Chunked, resumable upload
+  const content = Buffer.from('chunk-one|chunk-two|chunk-three');
+  const sha256  = crypto.createHash('sha256').update(content).digest('hex');
+  const up = await rc.createUpload({ filename: 'chunked.txt', contentType: 'text/plain', size: content.length, sha256 });
+  assertEq(up.status, 201, 'upload session opened');
+  const id = up.json.id;
+  assertEq((await rc.uploadChunk(id, 0, content.subarray(0, 10))).json.offset, 10, 'first chunk appended');
+  const stale = await rc.uploadChunk(id, 0, content.subarray(0, 10));
+  assertEq(stale.status, 409, 'wrong offset rejected');
+  assertEq(stale.json.offset, 10, 'conflict reports committed offset');
+  assertEq((await lc.uploadStatus(id)).status, 403, 'other principals cannot touch the session');
+  assertEq((await rc.uploadStatus(id)).json.offset, 10, 'status reports offset for resume');
+  assertEq((await rc.completeUpload(id)).status, 409, 'complete before all bytes → 409');
+  await rc.uploadChunk(id, 10, content.subarray(10));
+  const done = await rc.completeUpload(id);
+  assertEq(done.status, 201, 'upload completed');
+  assertEq(done.json.sha256, sha256, 'digest verified');
+  assertEq((await rc.downloadBlob(done.json.id)).data.toString(), content.toString(), 'chunked blob downloads intact');
+  assertEq((await rc.uploadStatus(id)).status, 404, 'session removed after completion');
+
+  const bad = await rc.createUpload({ size: 3, sha256: '0'.repeat(64) });
+  await rc.uploadChunk(bad.json.id, 0, Buffer.from('abc'));
+  assertEq((await rc.completeUpload(bad.json.id)).json.error, 'digest_mismatch', 'digest mismatch rejected');
+  assertEq((await rc.abortUpload(bad.json.id)).status, 200, 'session aborted');
+
+  const resumable = await rc.uploadBlobResumable(Buffer.alloc(5000, 7), { filename: 'r.bin', chunkSize: 1024 });
+  assertEq(resumable.json.size, 5000, 'client resumable helper uploads in chunks');
+
+  // Partial files left in blobs/tmp (crash, aborted upload) are swept at startup
+  await writeFile(path.join(tmpDir, 'blobs', 'tmp', 'stray-partial'), 'half an upload');
+  await restartServer();
+  assertEq((await readdir(path.join(tmpDir, 'blobs', 'tmp'))).length, 0, 'blobs/tmp emptied at startup');
+  assertEq((await rc.downloadBlob(done.json.id)).status, 200, 'stored blobs untouched by the sweep');
+}
+
+/** Runs last: it archives every finished job created by the earlier tests. */
+async function testRetention() {
+  console.log('\n--- retention ---');
+  const doneDays = 0.000001;  // ~86ms
+  assertEq((await head.runRetention({ mode: 'shred' })).status, 400, 'invalid policy rejected');
+  assertEq((await lc.runRetention({})).status, 401, 'claws cannot run retention');
+
+  const job = await head.createJob({ target: 'left-claw', spec: 'old', meta: { suite: 'retention' } });
+  await lc.claimNext({ meta: { suite: 'retention' } });
+  const kept = await lc.uploadBlob('attached');
+  const orphan = await head.uploadBlob('orphan');
+  await lc.completeJob(job.json.id, { result: 'r', attachments: [kept.json.id] });
+
+  const parent = await head.createJob({ target: 'left-claw', spec: 'parent', meta: { suite: 'retention' } });
+  await head.createJob({ target: 'nobody', spec: 'waiting child', dependsOn: [parent.json.id] });
+  await lc.claimNext({ meta: { suite: 'retention' } });
+  await lc.completeJob(parent.json.id, { result: 'p' });
+  await sleep(200);
+
+  const dry = await head.runRetention({ days: { done: doneDays }, dryRun: true });
+  assert(dry.json.jobs.includes(job.json.id), 'dry run lists expired job');
+  assertEq((await head.getJob(job.json.id)).status, 200, 'dry run removes nothing');
+
+  const run = await head.runRetention({ days: { done: doneDays }, blobGcDays: doneDays });
+  assert(run.json.archiveId, 'archive bundle written');
+  assert(run.json.jobs.includes(job.json.id), 'expired done job archived');
+  assert(!run.json.jobs.includes(parent.json.id), 'job needed by an unfinished child kept');
+  assertEq((await head.getJob(job.json.id)).status, 404, 'archived job removed from live set');
+  assert(run.json.blobs.includes(orphan.json.id), 'unreferenced blob collected');
+  assert(run.json.blobs.includes(kept.json.id), 'blob only referenced by archived job collected');
+  assertEq((await head.downloadBlob(orphan.json.id)).status, 404, 'collected blob gone');
+  const gz = await readFile(path.join(tmpDir, 'archive', `${run.json.archiveId}.jsonl.gz`));
+  assertEq(gz[0], 0x1f, 'archive is gzip');
+
+  const archives = await head.listArchives();
+  assert(archives.json.archives.some(a => a.id === run.json.archiveId && a.jobCount === run.json.jobs.length), 'archive listed');
+
+  const restored = await head.restoreArchive(run.json.archiveId, { jobIds: [job.json.id] });
+  assertEq(restored.json.restored.join(','), job.json.id, 'job restored');
+  const back = await head.getJob(job.json.id);
+  assertEq(back.json.status, 'done', 'restored job keeps status');
+  assertEq(back.json.result, 'r', 'restored job keeps result');
+  const ev = await head.jobEvents(job.json.id);
+  const types = ev.json.events.map(e => e.type);
+  assert(types.includes('job.completed') && types.includes('job.restored'), 'event log restored and restore recorded');
+  const again = await head.restoreArchive(run.json.archiveId, { jobIds: [job.json.id] });
+  assertEq(again.json.skipped.join(','), job.json.id, 'existing job not overwritten');
+
+  // Stream log trimming keeps the newest line, so the seq survives a restart
+  const streamPath = path.join(tmpDir, 'stream.jsonl');
+  const seqs = async () => (await readFile(streamPath, 'utf8')).split('\n').filter(Boolean).map(l => JSON.parse(l).seq);
+  const before = await seqs();
+  await sleep(200);
+  const dryTrim = await head.runRetention({ streamDays: doneDays, dryRun: true });
+  assert(dryTrim.json.streamEvents >= before.length - 1, 'dry run counts trimmable stream events');
+  assert((await seqs()).length >= before.length, 'dry run leaves the stream log alone');
+  assertEq((await head.runRetention({ streamDays: -1 })).status, 400, 'negative streamDays rejected');
+  const trim = await head.runRetention({ streamDays: doneDays });
+  assert(trim.json.streamEvents >= before.length - 1, 'old stream events trimmed');
+  const left = await seqs();
+  assert(left.length >= 1 && left[0] >= before.at(-1), 'only the newest stream events kept');
+  await restartServer();
+  const after = await head.createJob({ target: 'nobody', spec: 'after trim' });
+  assert((await head.jobEvents(after.json.id)).json.events[0].seq > before.at(-1), 'seq continues after trim and restart');
+  await head.cancelJob(after.json.id);
+}
+
 /* ─── runner ─── */
 
+async function testAdminActions() {
+  console.log('\n--- cancel / retry / edit ---');
+  // Cancel a queued job
+  const q = await head.createJob({ target: 'left-claw', spec: 'withdraw me' });
+  const cq = await head.cancelJob(q.json.id, { reason: 'no longer needed' });
+  assertEq(cq.status, 200, 'cancel queued job');
+  assertEq(cq.json.status, 'cancelled', 'queued job → cancelled');
+  assertEq(cq.json.cancelReason, 'no longer needed', 'cancel reason recorded');
+  assertEq((await lc.claimJob(q.json.id)).status, 409, 'cancelled job cannot be claimed');
+  assertEq((await head.cancelJob(q.json.id)).json.error, 'not_cancellable', 'cancelling twice → not_cancellable');
+  assertEq((await lc.cancelJob(q.json.id)).status, 401, 'claws cannot cancel');
+
+  // Cancel a running job: the claw learns on its next heartbeat
+  const r = await head.createJob({ target: 'left-claw', spec: 'stop mid-run' });
+  await lc.claimJob(r.json.id);
+  const cr = await head.cancelJob(r.json.id);
+  assertEq(cr.json.status, 'cancelled', 'running job → cancelled');
+  assertEq(cr.json.claimedBy, 'left-claw', 'claimedBy kept so the holder can be told');
+  const hb = await lc.heartbeat(r.json.id);
+  assertEq(hb.status, 409, 'heartbeat on cancelled job → 409');
+  assertEq(hb.json.error, 'cancelled', 'heartbeat says cancelled');
+  assertEq(hb.json.reason, 'cancelled_by_head', 'heartbeat carries the cancel reason');
+  assertEq((await lc.completeJob(r.json.id, { result: 'late' })).json.error, 'cancelled', 'late complete → cancelled');
+  const cancelEv = (await head.jobEvents(r.json.id, { type: 'job.cancelled' })).json.events;
+  assertEq(cancelEv.length, 1, 'job.cancelled event recorded');
+  assertEq(cancelEv[0].from, 'running', 'event records previous status');
+
+  // Retry a dead job with a fresh attempt budget
+  const d = await head.createJob({ target: 'left-claw', spec: 'retry me', maxAttempts: 1 });
+  await lc.claimJob(d.json.id);
+  const f = await lc.failJob(d.json.id, { error: 'boom' });
+  assertEq(f.json.status, 'dead', 'job dead after its only attempt');
+  assertEq((await lc.retryJob(d.json.id)).status, 401, 'claws cannot retry');
+  const rt = await head.retryJob(d.json.id);
+  assertEq(rt.status, 200, 'retry dead job');
+  assertEq(rt.json.status, 'queued', 'retried job queued');
+  assertEq(rt.json.attempts, 0, 'attempts reset');
+  assertEq(rt.json.error, null, 'error cleared');
+  assertEq((await lc.claimJob(d.json.id)).json.status, 'running', 'retried job claimable again');
+  assertEq((await head.retryJob(d.json.id)).json.error, 'not_retryable', 'running job not retryable');
+  await lc.completeJob(d.json.id, { result: 'ok' });
+  const retryEv = (await head.jobEvents(d.json.id, { type: 'job.retried' })).json.events;
+  assertEq(retryEv[0]?.previousAttempts, 1, 'job.retried records previous attempts');
+
+  // Edit a queued job
+  const e = await head.createJob({ target: 'left-claw', spec: 'draft', meta: { v: 1 } });
+  const up = await head.updateJob(e.json.id, { spec: 'final', meta: { v: 2 }, target: 'right-claw', maxAttempts: 7 });
+  assertEq(up.status, 200, 'PATCH queued job');
+  assertEq(up.json.spec, 'final', 'spec updated');
+  assertEq(up.json.meta.v, 2, 'meta updated');
+  assertEq(up.json.target, 'right-claw', 'target updated');
+  assertEq(up.json.maxAttempts, 7, 'maxAttempts updated');
+  assertEq((await lc.claimJob(e.json.id)).status, 403, 'old target can no longer claim');
+  const updEv = (await head.jobEvents(e.json.id, { type: 'job.updated' })).json.events;
+  assertEq(JSON.stringify(updEv[0]?.fields), JSON.stringify(['spec', 'meta', 'target', 'maxAttempts']), 'job.updated lists edited fields');
+  assertEq(updEv[0]?.changes.target.from, 'left-claw', 'job.updated records previous values');
+  assertEq((await head.updateJob(e.json.id, { maxAttempts: 0 })).json.error, 'invalid_max_attempts', 'bad maxAttempts rejected');
+  assertEq((await head.updateJob(e.json.id, { status: 'done' })).json.error, 'no_changes', 'non-editable fields rejected');
+  await rc.claimJob(e.json.id);
+  assertEq((await head.updateJob(e.json.id, { spec: 'too late' })).json.error, 'not_queued', 'running job not editable');
+  await rc.completeJob(e.json.id, {});
+}
+
+async function testBulkOperations() {
+  console.log('\n--- bulk operations ---');
+  const batch = `bulk-${Date.now()}`;
+  const created = await head.createJobs([
+    { target: 'left-claw', spec: 'bulk 0', meta: { batch }, maxAttempts: 1 },
+    { target: 'left-claw', spec: 'bulk 1', meta: { batch }, maxAttempts: 1 },
+    { target: 'left-claw', spec: 'bulk bad', priority: 1.5 },
+    { target: 'left-claw', spec: 'bulk 3', meta: { batch } },
+  ]);
+  assertEq(created.status, 200, 'POST /jobs:batch ok');
+  assertEq(created.json.created, 3, 'valid entries created');
+  assertEq(created.json.failed, 1, 'invalid entry reported');
+  assertEq(created.json.results[2].error, 'invalid_priority', 'per-entry error with index');
+  const [a, b, , c] = created.json.results.map(r => r.id);
+  assertEq((await lc.createJobs([{ spec: 'x' }])).status, 401, 'claws cannot batch-create');
+  assertEq((await head.createJobs([])).json.error, 'missing_jobs', 'empty batch rejected');
+  const mixed = await head.createJobs([{ target: 'left-claw', spec: 'ok1' }, { dependsOn: 7 }, { target: 'left-claw', spec: 'ok3' }]);
+  assertEq(mixed.status, 200, 'bad entry does not abort the batch');
+  assertEq(mixed.json.created, 2, 'entries around a bad one are created');
+  assertEq(mixed.json.results[1].error, 'invalid_depends_on', 'bad entry reported in place');
+  assert(mixed.json.results[2].ok && mixed.json.results[2].id, 'later entry returns its id');
+  await head.cancelJobs({ ids: [mixed.json.results[0].id, mixed.json.results[2].id] });
+
+  // Two jobs die; retry both by filter
+  for (const id of [a, b]) {
+    await lc.claimJob(id);
+    await lc.failJob(id, { error: 'bad deploy' });
+  }
+  const retried = await head.retryJobs({ filter: { status: 'dead', 'meta.batch': batch } });
+  assertEq(retried.json.matched, 2, 'filter selects dead jobs of the batch');
+  assertEq(retried.json.succeeded, 2, 'both retried');
+  assertEq((await head.getJob(a)).json.status, 'queued', 'retried job queued');
+
+  // Requeue a running job, then cancel by ids (one not cancellable)
+  await lc.claimJob(a);
+  const rq = await head.requeueJobs({ ids: [a, c] });
+  assertEq(rq.json.results[0].ok, true, 'running job requeued');
+  assertEq(rq.json.results[1].error, 'not_requeueable', 'queued job not requeueable');
+  assertEq((await head.getJob(a)).json.claimedBy, null, 'requeue clears claimedBy');
+
+  await lc.claimJob(b);
+  await lc.completeJob(b, { result: 'ok' });
+  const cx = await head.cancelJobs({ ids: [a, b, 'no-such-job'], reason: 'rollback' });
+  assertEq(cx.json.succeeded, 1, 'one job cancelled');
+  assertEq(cx.json.results[1].error, 'not_cancellable', 'done job not cancellable');
+  assertEq(cx.json.results[2].error, 'not_found', 'unknown id reported');
+  assertEq((await head.getJob(a)).json.cancelReason, 'rollback', 'bulk cancel reason applied');
+
+  // Delete finished jobs; a parent an open job needs is kept
+  const child = await head.createJob({ target: 'left-claw', spec: 'needs b', dependsOn: [b], runAt: new Date(Date.now() + 3600e3).toISOString() });
+  const del = await head.deleteJobs({ ids: [a, b, c] });
+  assertEq(del.json.results[0].ok, true, 'cancelled job deleted');
+  assertEq(del.json.results[1].error, 'has_dependents', 'parent of an open job kept');
+  assertEq(del.json.results[2].error, 'not_finished', 'queued job not deleted');
+  assertEq((await head.getJob(a)).status, 404, 'deleted job is gone');
+  assert(!(await head.listJobs({ 'meta.batch': batch })).json.jobs.some(j => j.id === a), 'deleted job not listed');
+  await head.cancelJob(child.json.id);
+  await head.cancelJob(c);
+
+  assertEq((await head.cancelJobs({})).json.error, 'missing_selector', 'selector required');
+  assertEq((await head.cancelJobs({ ids: [a], filter: {} })).json.error, 'missing_selector', 'ids and filter are exclusive');
+  assertEq((await head.retryJobs({ filter: { createdAfter: 'soon' } })).json.error, 'invalid_time_range', 'filter validated like GET /jobs');
+  assertEq((await head.deleteJobs({ filter: {} })).json.error, 'empty_filter', 'empty filter rejected');
+  assertEq((await head.cancelJobs({ filter: { status: '', limit: 5 } })).json.error, 'empty_filter', 'filter without a narrowing key rejected');
+
+  // A filter matching more than the batch cap is refused as a whole
+  const spill = `spill-${Date.now()}`;
+  const spillIds = [];
+  for (const n of [1000, 1]) {
+    const r = await head.createJobs(Array.from({ length: n }, () => ({ target: 'bulk-cap', spec: 'spill', meta: { spill } })));
+    spillIds.push(...r.json.results.map(x => x.id));
+  }
+  const tooMany = await head.cancelJobs({ filter: { 'meta.spill': spill } });
+  assertEq(tooMany.status, 400, 'oversized filter selection → 400');
+  assertEq(tooMany.json.error, 'too_many_jobs', 'error is too_many_jobs');
+  assertEq(tooMany.json.matched, 1001, 'matched count reported');
+  assertEq((await head.listJobs({ 'meta.spill': spill, status: 'cancelled' })).json.jobs.length, 0, 'nothing cancelled');
+  for (const ids of [spillIds.slice(0, 1000), spillIds.slice(1000)]) {
+    await head.cancelJobs({ ids });
+    await head.deleteJobs({ ids });
+  }
+  assertEq((await lc.cancelJobs({ ids: [c] })).status, 401, 'claws cannot bulk cancel');
+}
+
+async function testIdempotency() {
+  console.log('\n--- idempotency ---');
+  const key = `deploy-${Date.now()}`;
+  const first = await head.createJob({ target: 'left-claw', spec: 'expensive build' }, { idempotencyKey: key });
+  assertEq(first.status, 201, 'first create → 201');
+  assertEq(first.json.dedupeKey, key, 'Idempotency-Key stored as dedupeKey');
+  const again = await head.createJob({ target: 'left-claw', spec: 'expensive build' }, { idempotencyKey: key });
+  assertEq(again.status, 200, 'repeat within window → 200');
+  assertEq(again.json.id, first.json.id, 'repeat returns the existing job');
+  assertEq(again.headers['idempotent-replayed'], 'true', 'replay flagged in header');
+  const viaBody = await head.createJob({ target: 'left-claw', spec: 'expensive build', dedupeKey: key });
+  assertEq(viaBody.json.id, first.json.id, 'dedupeKey body field dedupes too');
+  const racing = await Promise.all([1, 2, 3].map(() => head.createJob({ spec: 'race' }, { idempotencyKey: `${key}-race` })));
+  assertEq(new Set(racing.map(r => r.json.id)).size, 1, 'concurrent creates with one key yield one job');
+  await head.cancelJob(racing[0].json.id);
+  assertEq((await head.createJob({ spec: 'x', dedupeKey: '' })).json.error, 'invalid_dedupe_key', 'empty key rejected');
+
+  // Unique while active: refused while unfinished, allowed again afterwards
+  const ukey = `${key}-unique`;
+  const u1 = await head.createJob({ target: 'left-claw', spec: 'singleton', dedupeKey: ukey, uniqueWhileActive: true });
+  assertEq(u1.status, 201, 'unique job created');
+  const u2 = await head.createJob({ target: 'left-claw', spec: 'singleton', dedupeKey: ukey, uniqueWhileActive: true });
+  assertEq(u2.status, 409, 'second unique job refused while active');
+  assertEq(u2.json.error, 'duplicate_active', 'duplicate_active error');
+  assertEq(u2.json.id, u1.json.id, 'conflict names the active job');
+  await lc.claimJob(u1.json.id);
+  assertEq((await head.createJob({ spec: 'singleton', dedupeKey: ukey, uniqueWhileActive: true })).status, 409, 'still refused while running');
+  await lc.completeJob(u1.json.id, { result: 1 });
+  const u3 = await head.createJob({ target: 'left-claw', spec: 'singleton', dedupeKey: ukey, uniqueWhileActive: true });
+  assertEq(u3.status, 201, 'new unique job once the previous one finished');
+
+  const batch = await head.createJobs([{ spec: 'b', dedupeKey: key }, { spec: 'b', dedupeKey: ukey, uniqueWhileActive: true }]);
+  assertEq(batch.json.results[0].replayed, true, 'batch entry replays existing job');
+  assertEq(batch.json.created, 0, 'replayed entry not counted as created');
+  assertEq(batch.json.replayed, 1, 'replayed entries counted separately');
+  assertEq(batch.json.failed, 1, 'refused entry counted as failed');
+  assertEq(batch.json.results[0].id, first.json.id, 'batch replay returns existing id');
+  assertEq(batch.json.results[1].error, 'duplicate_active', 'batch entry refused while active');
+  assertEq(batch.json.results[1].existing, u3.json.id, 'batch conflict names the active job');
+  await head.cancelJob(u3.json.id);
+
+  // Retried /complete replays instead of failing with not_running
+  await lc.claimJob(first.json.id);
+  const c1 = await lc.completeJob(first.json.id, { result: 'v1' }, { idempotencyKey: 'complete-1' });
+  assertEq(c1.status, 200, 'complete ok');
+  const c2 = await lc.completeJob(first.json.id, { result: 'v1' }, { idempotencyKey: 'complete-1' });
+  assertEq(c2.status, 200, 'retried complete with same key → 200');
+  assertEq(c2.headers['idempotent-replayed'], 'true', 'retried complete flagged as replay');
+  assertEq((await lc.completeJob(first.json.id, { result: 'v2' }, { idempotencyKey: 'complete-2' })).status, 409, 'different key still conflicts');
+  const completions = (await head.jobEvents(first.json.id, { type: 'job.completed' })).json.events;
+  assertEq(completions.length, 1, 'only one job.completed event');
+
+  // Retried /fail (requeue) doesn't fail the next attempt
+  const f = await head.createJob({ target: 'left-claw', spec: 'flaky', maxAttempts: 5 });
+  await lc.claimJob(f.json.id);
+  const f1 = await lc.failJob(f.json.id, { error: 'oops' }, { idempotencyKey: 'fail-1' });
+  assertEq(f1.json.status, 'queued', 'fail requeued');
+  await lc.claimJob(f.json.id);
+  const f2 = await lc.failJob(f.json.id, { error: 'oops' }, { idempotencyKey: 'fail-1' });
+  assertEq(f2.status, 200, 'retried fail replays');
+  assertEq((await head.getJob(f.json.id)).json.status, 'running', 'second attempt not failed by the retry');
+  assertEq((await head.jobEvents(f.json.id, { type: 'job.failed' })).json.events.length, 1, 'only one job.failed event');
+  await lc.completeJob(f.json.id, {});
+}
+
+async function testVersions() {
+  console.log('\n--- versions / If-Match ---');
+  const cr = await head.createJob({ target: 'left-claw', spec: 'versioned' });
+  const id = cr.json.id;
+  assertEq(cr.json.version, 1, 'new job starts at version 1');
+
+  const g = await head.getJob(id);
+  assertEq(g.headers.etag, '"1"', 'GET /jobs/:id returns the version as ETag');
+  const notModified = await head._req({ path: `/jobs/${id}`, headers: { 'If-None-Match': '"1"' } });
+  assertEq(notModified.status, 304, 'If-None-Match with current ETag → 304');
+
+  const stale = await head._req({ method: 'POST', path: `/jobs/${id}/comment`, body: { text: 'stale' }, headers: { 'If-Match': '"0"' } });
+  assertEq(stale.status, 412, 'stale If-Match → 412');
+  assertEq(stale.json.error, 'version_mismatch', 'version_mismatch error');
+  assertEq(stale.json.version, 1, '412 reports the current version');
+
+  const ok = await head._req({ method: 'POST', path: `/jobs/${id}/comment`, body: { text: 'fresh' }, headers: { 'If-Match': '"1"' } });
+  assertEq(ok.status, 200, 'matching If-Match applies the change');
+  assertEq(ok.json.version, 2, 'each write bumps version');
+  assertEq(ok.headers.etag, '"2"', 'mutation responses carry the new ETag');
+
+  const claimStale = await lc._req({ method: 'POST', path: `/jobs/${id}/claim`, headers: { 'If-Match': '"1"' } });
+  assertEq(claimStale.status, 412, 'If-Match honoured by claim');
+  const claimed = await lc._req({ method: 'POST', path: `/jobs/${id}/claim`, headers: { 'If-Match': 'W/"2", "9"' } });
+  assertEq(claimed.status, 200, 'weak / listed ETags accepted');
+  const { leaseToken } = claimed.json;  // raw claim: the client isn't tracking this lease
+
+  // Concurrent mutations on one job are serialised: nothing is lost
+  const texts = ['a', 'b', 'c', 'd', 'e'];
+  const results = await Promise.all([
+    ...texts.map(text => head.comment(id, { text })),
+    lc.heartbeat(id, { progress: 50, leaseToken }),
+    lc.completeJob(id, { result: 'done', leaseToken }),
+  ]);
+  assert(results.slice(0, texts.length).every(r => r.status === 200), 'concurrent comments succeed');
+  assertEq(results[texts.length + 1].status, 200, 'concurrent complete succeeds');
+  const final = (await head.getJob(id)).json;
+  assertEq(final.status, 'done', 'complete not lost');
+  assertEq(final.comments.length, 6, 'no comment lost to a concurrent write');
+  const writes = results.filter(r => r.status === 200).length;
+  assertEq(final.version, 3 + writes, 'version counts every write');
+  assertEq((await head.cancelJob(id, {})).json.error, 'not_cancellable', 'finished job stays finished');
+
+  // resolvedInputs can change under an unchanged version: no 304 for jobs with inputs
+  const parent = await head.createJob({ target: 'nobody', spec: 'feeds' });
+  const child  = await head.createJob({ target: 'nobody', spec: 'fed', inputs: { x: { fromJob: parent.json.id } } });
+  const etag = (await head.getJob(child.json.id)).headers.etag;
+  const withInputs = await head._req({ path: `/jobs/${child.json.id}`, headers: { 'If-None-Match': etag } });
+  assertEq(withInputs.status, 200, 'job with inputs never answers 304');
+
+  // A job file changed behind the server's back: the write is refused and the file adopted
+  const file = path.join(tmpDir, 'jobs', `${child.json.id}.json`);
+  const onDisk = JSON.parse(await readFile(file, 'utf8'));
+  await writeFile(file, JSON.stringify({ ...onDisk, version: onDisk.version + 5, spec: 'edited by hand' }));
+  const conflict = await head.comment(child.json.id, { text: 'lost?' });
+  assertEq(conflict.status, 409, 'write over an externally changed job → 409');
+  assertEq(conflict.json.error, 'version_conflict', 'error is version_conflict');
+  const adopted = await head.getJob(child.json.id);
+  assertEq(adopted.json.spec, 'edited by hand', 'external change adopted');
+  assertEq((await head.comment(child.json.id, { text: 'retry' })).json.version, onDisk.version + 6, 'retried write applies on top');
+  await head.cancelJobs({ ids: [parent.json.id, child.json.id] });
+}
+
+async function testLeaseTokens() {
+  console.log('\n--- lease tokens ---');
+  const cr = await head.createJob({ target: 'left-claw', spec: 'fenced', maxAttempts: 5 });
+  const id = cr.json.id;
+
+  // Two processes of the same claw, each with its own client
+  const stale = new SpineClient(BASE, LC_TOKEN);
+  const fresh = new SpineClient(BASE, LC_TOKEN);
+  const c1 = await stale.claimJob(id);
+  assert(/^lt_/.test(c1.json.leaseToken), 'claim returns a lease token');
+  assertEq(stale.leases.get(id), c1.json.leaseToken, 'client tracks the lease');
+  assertEq((await head.getJob(id)).json.leaseToken, undefined, 'lease token not exposed by GET /jobs/:id');
+  assert(!(await head.listJobs({ status: 'running' })).json.jobs.some(j => 'leaseToken' in j), 'nor by GET /jobs');
+  assertEq((await stale.heartbeat(id)).status, 200, 'holder heartbeats with its token');
+  assert(stale.leases.has(id), 'successful heartbeat keeps the lease');
+
+  // Lease is lost (head release stands in for expiry) and the same claw re-claims
+  await head.releaseJob(id);
+  const c2 = await fresh.claimJob(id);
+  assert(c2.json.leaseToken && c2.json.leaseToken !== c1.json.leaseToken, 'each attempt gets a new token');
+
+  const hb = await stale.heartbeat(id);
+  assertEq(hb.status, 409, 'stale heartbeat → 409');
+  assertEq(hb.json.error, 'lease_lost', 'stale heartbeat → lease_lost');
+  assert(!stale.leases.has(id), 'heartbeat drops a lost lease');
+  stale.leases.set(id, c1.json.leaseToken);  // e.g. a completion racing the heartbeat
+  assertEq((await stale.completeJob(id, { result: 'stale' })).json.error, 'lease_lost', 'stale complete → lease_lost');
+  assert(!stale.leases.has(id), 'client drops a lost lease');
+  assertEq((await lc.completeJob(id, { result: 'untracked' })).json.error, 'missing_lease_token', 'worker without a token → missing_lease_token');
+  assertEq((await lc.failJob(id, { leaseToken: 'lt_forged' })).json.error, 'lease_lost', 'wrong body token → lease_lost');
+  assertEq((await head.heartbeat(id)).status, 200, 'head override needs no token');
+
+  const done = await fresh.completeJob(id, { result: 'fresh' });
+  assertEq(done.status, 200, 'current holder completes');
+  assertEq(done.json.result, 'fresh', 'result from the current attempt');
+  assert(!fresh.leases.has(id), 'lease dropped after complete');
+  assertEq((await stale.releaseJob(id)).json.error, 'not_running', 'after completion a stale release is plain not_running');
+
+  // A cancelled job ends the attempt too
+  const cx = await head.createJob({ target: 'left-claw', spec: 'withdrawn', maxAttempts: 5 });
+  await fresh.claimJob(cx.json.id);
+  await head.cancelJob(cx.json.id);
+  assertEq((await fresh.heartbeat(cx.json.id)).json.error, 'cancelled', 'heartbeat on a cancelled job → cancelled');
+  assert(!fresh.leases.has(cx.json.id), 'lease dropped once the job is cancelled');
+}
+
+async function testJobListing() {
+  console.log('\n--- job listing ---');
+  const batch = `list-${Date.now()}`;
+  const ids = [];
+  for (let i = 0; i < 5; i++) {
+    const r = await head.createJob({ target: 'right-claw', spec: `listing ${i === 3 ? 'needle' : 'hay'} ${i}`, priority: i, meta: { batch, n: i } });
+    ids.push(r.json.id);
+    await sleep(5);
+  }
+
+  const seen = [];
+  let cursor = null;
+  let pages = 0;
+  do {
+    const r = await head.listJobs({ 'meta.batch': batch, limit: 2, sort: 'createdAt', ...(cursor ? { cursor } : {}) });
+    assertEq(r.status, 200, `page ${pages + 1} ok`);
+    seen.push(...r.json.jobs.map(j => j.id));
+    cursor = r.json.nextCursor;
+    pages++;
+  } while (cursor && pages < 10);
+  assertEq(pages, 3, 'five jobs in pages of two → three pages');
+  assertEq(JSON.stringify(seen), JSON.stringify(ids), 'pages cover every job once, in createdAt order');
+
+  const byPriority = await head.listJobs({ 'meta.batch': batch, sort: '-priority', limit: 2 });
+  assertEq(byPriority.json.jobs[0].id, ids[4], 'sort=-priority puts highest first');
+  const nextPriority = await head.listJobs({ 'meta.batch': batch, sort: '-priority', limit: 2, cursor: byPriority.json.nextCursor });
+  assertEq(nextPriority.json.jobs[0].id, ids[2], 'priority cursor continues descending');
+
+  const meta = await head.listJobs({ 'meta.batch': batch, 'meta.n': '1' });
+  assertEq(meta.json.jobs.length, 1, 'meta.* equality filter');
+  assertEq(meta.json.nextCursor, null, 'unpaged listing has no cursor');
+
+  const found = await head.listJobs({ 'meta.batch': batch, q: 'NEEDLE' });
+  assertEq(found.json.jobs.length, 1, 'free-text search over spec (case-insensitive)');
+  assertEq(found.json.jobs[0].id, ids[3], 'search finds the right job');
+
+  const slim = await head.listJobs({ 'meta.batch': batch, fields: 'status,target', limit: 1 });
+  assertEq(JSON.stringify(Object.keys(slim.json.jobs[0]).sort()), JSON.stringify(['id', 'status', 'target']), 'fields projection keeps id + requested fields');
+
+  await rc.claimJob(ids[0]);
+  const claimed = await head.listJobs({ 'meta.batch': batch, claimedBy: 'right-claw', status: 'running,queued' });
+  assertEq(claimed.json.jobs.length, 1, 'claimedBy filter (with CSV status)');
+  await head.releaseJob(ids[0]);
+
+  const created = (await head.getJob(ids[2])).json.createdAt;
+  const later = await head.listJobs({ 'meta.batch': batch, createdAfter: created });
+  assertEq(later.json.jobs.length, 3, 'createdAfter is inclusive');
+  const earlier = await head.listJobs({ 'meta.batch': batch, createdBefore: created });
+  assertEq(earlier.json.jobs.length, 2, 'createdBefore is exclusive');
+
+  assertEq((await head.listJobs({ sort: 'spec' })).json.error, 'invalid_sort', 'unknown sort field → invalid_sort');
+  assertEq((await head.listJobs({ limit: 2, cursor: 'nope' })).status, 400, 'garbage cursor → 400');
+  assertEq((await head.listJobs({ sort: 'updatedAt', cursor: byPriority.json.nextCursor })).json.error, 'invalid_cursor', 'cursor from another sort rejected');
+  assertEq((await head.listJobs({ createdAfter: 'yesterday' })).json.error, 'invalid_time_range', 'bad timestamp → invalid_time_range');
+
+  const iterated = [];
+  for await (const page of head.listJobPages({ 'meta.batch': batch, limit: 2 })) iterated.push(page.length);
+  assertEq(JSON.stringify(iterated), JSON.stringify([2, 2, 1]), 'client page iterator follows nextCursor');
+}
+
+async function testJobIndex() {
+  console.log('\n--- job index ---');
+  const a = await head.createJob({ target: 'left-claw', spec: 'index a' });
+  const b = await head.createJob({ target: 'right-claw', spec: 'index b' });
+  const queued = (await head.listJobs({ status: 'queued', target: 'left-claw' })).json.jobs.map(j => j.id);
+  assert(queued.includes(a.json.id), 'queued+target filter finds new job');
+  assert(!queued.includes(b.json.id), 'target filter excludes other target');
+
+  await lc.claimJob(a.json.id);
+  const running = (await head.listJobs({ status: 'running' })).json.jobs.map(j => j.id);
+  assert(running.includes(a.json.id), 'claimed job moves to running set');
+  assert(!(await head.listJobs({ status: 'queued' })).json.jobs.some(j => j.id === a.json.id), 'claimed job left queued set');
+
+  // Heartbeat renews the lease past the first heap entry; that entry must be ignored
+  await sleep(2000);
+  assertEq((await lc.heartbeat(a.json.id)).status, 200, 'heartbeat renews lease');
+  await sleep(2000);
+  assertEq((await head.getJob(a.json.id)).json.status, 'running', 'renewed lease not reaped by stale heap entry');
+
+  // Index is rebuilt from the job files on restart, lease heap included
+  await restartServer();
+  const after = await head.getJob(b.json.id);
+  assertEq(after.json.status, 'queued', 'job survives restart');
+  assert((await head.listJobs({ target: 'right-claw' })).json.jobs.some(j => j.id === b.json.id), 'restarted index lists job by target');
+  await sleep(3000);
+  const reaped = await head.getJob(a.json.id);
+  assertEq(reaped.json.status, 'queued', 'lease expiry reaped after restart');
+}
+
 async function run() {
   try {
     await startServer();
@@ -325,6 +1730,33 @@ async function run() {
     await testComment();
     await testNotFound();
     await testAnyTarget();
+    await testClaimNext();
+    await testLongPoll();
+    await testEventStream();
+    await testEventOrdering();
+    await testJobEvents();
+    await testPriority();
+    await testScheduled();
+    await testBackoff();
+    await testSchedules();
+    await testDependencies();
+    await testWorkflows();
+    await testInputs();
+    await testWorkerRegistry();
+    await testLabels();
+    await testPresence();
+    await testTokens();
+    await testWebhooks();
+    await testBlobs();
+    await testBlobStorage();
+    await testAdminActions();
+    await testBulkOperations();
+    await testIdempotency();
+    await testVersions();
+    await testLeaseTokens();
+    await testJobListing();
+    await testJobIndex();
+    await testRetention();
   } finally {
     await stopServer();
   }